@@ -0,0 +1,178 @@
+import { domainToASCII, domainToUnicode } from 'node:url';
+import { MimeParser } from './mimeParser.js';
+
+/**
+ * Parses an address header such as From, To or Reply-To (RFC 5322 section 3.4), including
+ * quoted display names, comments, encoded words and group syntax
+ * @param {string|string[]} value - Header value(s); repeated headers are parsed as one list
+ * @returns {Object[]} Addresses as returned by createAddress, in header order
+ */
+function parseAddressList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const addresses = [];
+
+  values.filter(Boolean).forEach(v => {
+    let group = null;
+    let current = [];
+    let inAngle = false;
+
+    const flush = () => {
+      const address = parseMailbox(current, group);
+      if (address) addresses.push(address);
+      current = [];
+    };
+
+    tokenize(v).forEach(token => {
+      if (token.type === 'special' && !inAngle) {
+        if (token.value === ':' && group === null && !current.some(t => t.type === 'special')) {
+          group = joinPhrase(current);
+          current = [];
+          return;
+        }
+        if (token.value === ';' && group !== null) {
+          flush();
+          group = null;
+          return;
+        }
+        if (token.value === ',') {
+          flush();
+          return;
+        }
+      }
+      if (token.type === 'special' && token.value === '<') inAngle = true;
+      if (token.type === 'special' && token.value === '>') inAngle = false;
+      current.push(token);
+    });
+    flush();
+  });
+
+  return addresses;
+}
+
+/**
+ * Builds the structured form of a single address
+ * @param {string} name - Display name, may be empty
+ * @param {string} address - The addr-spec, e.g. 'jane@example.com'
+ * @param {string|null} [group] - Name of the group the address was listed in
+ * @returns {Object} { name, address, local, domain, domainAscii, domainUnicode, group }
+ */
+function createAddress(name, address, group = null) {
+  const trimmed = (address || '').trim();
+  const at = trimmed.lastIndexOf('@');
+  const local = at === -1 ? trimmed : trimmed.slice(0, at);
+  const domain = at === -1 ? '' : trimmed.slice(at + 1).toLowerCase();
+  // domainToASCII returns '' for invalid domains, keep them as written.
+  const domainAscii = domain ? domainToASCII(domain) || domain : '';
+  const domainUnicode = domainAscii ? domainToUnicode(domainAscii) || domain : '';
+
+  return {
+    name: (name || '').trim(),
+    address: domain ? `${local}@${domain}` : local,
+    local,
+    domain,
+    domainAscii,
+    domainUnicode,
+    group
+  };
+}
+
+/**
+ * Formats a structured address the way it appears in a header
+ * @param {Object} address - Address from parseAddressList or createAddress
+ * @returns {string} e.g. 'Jane Doe <jane@example.com>' or 'jane@example.com'
+ */
+function formatAddress(address) {
+  if (!address.name || address.name === address.address) return address.address;
+  const name = /[",:;<>@()[\]]/.test(address.name) ? `"${address.name.replace(/["\\]/g, '\\$&')}"` : address.name;
+  return `${name} <${address.address}>`;
+}
+
+function parseMailbox(tokens, group) {
+  const open = tokens.findIndex(t => t.type === 'special' && t.value === '<');
+  let name;
+  let address;
+
+  if (open !== -1) {
+    const close = tokens.findIndex((t, i) => i > open && t.type === 'special' && t.value === '>');
+    name = joinPhrase(tokens.slice(0, open));
+    // Drop obsolete source routes such as <@relay.example.com:jane@example.com>.
+    address = joinAddress(tokens.slice(open + 1, close === -1 ? tokens.length : close)).replace(/^(@[^:]*:)/, '');
+    if (!name) {
+      // "<jane@example.com> (Jane Doe)"
+      name = tokens.slice(close + 1).filter(t => t.type === 'comment').map(t => t.value).join(' ');
+    }
+  } else {
+    // Old style "jane@example.com (Jane Doe)"
+    address = joinAddress(tokens);
+    name = tokens.filter(t => t.type === 'comment').map(t => t.value).join(' ');
+  }
+
+  if (!address && !name) return null;
+  return createAddress(MimeParser.decodeEncodedWords(name), address, group);
+}
+
+function joinPhrase(tokens) {
+  const words = tokens.filter(t => t.type === 'atom' || t.type === 'quoted').map(t => t.value);
+  return MimeParser.decodeEncodedWords(words.join(' ')).trim();
+}
+
+function joinAddress(tokens) {
+  return tokens
+    .filter(t => t.type !== 'comment')
+    .map(t => (t.type === 'quoted' ? `"${t.value}"` : t.value))
+    .join('');
+}
+
+function tokenize(value) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < value.length) {
+    const char = value[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"') {
+      let text = '';
+      i++;
+      while (i < value.length && value[i] !== '"') {
+        if (value[i] === '\\' && i + 1 < value.length) i++;
+        text += value[i++];
+      }
+      i++;
+      tokens.push({ type: 'quoted', value: text });
+    } else if (char === '(') {
+      let depth = 1;
+      let text = '';
+      i++;
+      while (i < value.length && depth > 0) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+          text += value[i + 1];
+          i += 2;
+          continue;
+        }
+        if (value[i] === '(') depth++;
+        if (value[i] === ')') depth--;
+        if (depth > 0) text += value[i];
+        i++;
+      }
+      tokens.push({ type: 'comment', value: text.trim() });
+    } else if (',:;<>'.includes(char)) {
+      tokens.push({ type: 'special', value: char });
+      i++;
+    } else {
+      let text = '';
+      while (i < value.length && !/[\s",:;<>()]/.test(value[i])) {
+        text += value[i++];
+      }
+      tokens.push({ type: 'atom', value: text });
+    }
+  }
+
+  return tokens;
+}
+
+export {
+  parseAddressList,
+  createAddress,
+  formatAddress
+};
@@ -0,0 +1,159 @@
+import { createHash } from 'node:crypto';
+import { decodeBase64 } from './encoding.js';
+import { sniffFileType } from './fileTypes.js';
+
+// Executables, scripts, installers, shortcuts and macro-enabled Office files.
+const DANGEROUS_EXTENSIONS = new Set([
+  'exe', 'scr', 'com', 'pif', 'bat', 'cmd', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh', 'hta', 'msi',
+  'msp', 'cpl', 'jar', 'ps1', 'psm1', 'reg', 'dll', 'lnk', 'scf', 'url', 'application', 'gadget',
+  'appx', 'msix', 'xll', 'iqy', 'slk', 'docm', 'dotm', 'xlsm', 'xltm', 'xlam', 'pptm', 'potm', 'ppam'
+]);
+
+// Disk images and shortcuts, used to slip files past mark-of-the-web checks.
+const CONTAINER_EXTENSIONS = new Set(['iso', 'img', 'vhd', 'vhdx', 'udf', 'dmg', 'lnk']);
+
+const ARCHIVE_EXTENSIONS = new Set([
+  'zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'cab', 'ace', 'arj', 'lzh', 'z'
+]);
+
+// Opened in a browser, where scripts can assemble a payload on the spot (HTML smuggling).
+const HTML_EXTENSIONS = new Set(['html', 'htm', 'xhtml', 'shtml', 'mht', 'mhtml', 'svg', 'svgz']);
+
+// Harmless looking extensions put in front of the real one, "invoice.pdf.exe".
+const DECOY_EXTENSIONS = new Set([
+  'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'rtf', 'txt', 'csv', 'jpg', 'jpeg', 'png',
+  'gif', 'bmp', 'tif', 'tiff', 'mp3', 'mp4', 'mov', 'avi', 'wav', 'odt', 'ods'
+]);
+
+// Declared MIME types expected for an extension; extensions not listed are not checked.
+const EXTENSION_MIME_TYPES = {
+  pdf: ['application/pdf'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  xls: ['application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ppt: ['application/vnd.ms-powerpoint'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  txt: ['text/plain'],
+  csv: ['text/csv', 'text/plain', 'application/vnd.ms-excel'],
+  jpg: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  jpeg: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+  png: ['image/png'],
+  gif: ['image/gif'],
+  html: ['text/html'],
+  htm: ['text/html'],
+  svg: ['image/svg+xml'],
+  zip: ['application/zip', 'application/x-zip-compressed', 'application/x-zip'],
+  rar: ['application/vnd.rar', 'application/x-rar-compressed', 'application/x-rar'],
+  '7z': ['application/x-7z-compressed'],
+  gz: ['application/gzip', 'application/x-gzip'],
+  exe: ['application/x-msdownload', 'application/x-dosexec', 'application/x-msdos-program',
+    'application/vnd.microsoft.portable-executable', 'application/x-executable'],
+  iso: ['application/x-iso9660-image', 'application/x-cd-image'],
+  ics: ['text/calendar'],
+  eml: ['message/rfc822']
+};
+
+// Types that say nothing about the content.
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'application/unknown', 'binary/octet-stream'];
+
+// Bidirectional overrides and zero-width characters that make a name display differently.
+const INVISIBLE_CHARACTERS = /[\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+const PASSWORD_HINT = /\b(?:password|passcode|passwort|kennwort|mot de passe|contrase(?:ñ|n)a|senha|pwd)\b/i;
+
+/**
+ * Profiles an attachment from its metadata and, when the preprocessor kept it, its content
+ * @param {Object} attachment - Attachment as returned by a preprocessor, { filename, mimeType, size, data? }
+ *   with data as base64url, see the keepAttachmentData preprocessor option
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.bodyText] - Text of the email, searched for archive passwords
+ * @returns {Object} { filename, mimeType, size, extension, extensions, detectedType, sha256, md5,
+ *   dangerousExtension, doubleExtension, unicodeTrick, mimeMismatch, contentMismatch, executableContent,
+ *   archive, passwordHint, htmlSmuggling, container, risks }, risks listing the names of the flags that are set.
+ *   detectedType and the hashes are null without content.
+ */
+function analyzeAttachment(attachment, options = {}) {
+  const filename = attachment.filename || '';
+  const mimeType = (attachment.mimeType || '').toLowerCase().split(';')[0].trim();
+  // Trailing dots and spaces are dropped by Windows, "invoice.exe ." runs as invoice.exe.
+  const visibleName = filename.replace(INVISIBLE_CHARACTERS, '').replace(/[\s.]+$/, '');
+  const extensions = visibleName.split('.').slice(1).map(e => e.trim().toLowerCase()).filter(e => /^[a-z0-9]{1,11}$/.test(e));
+  const extension = visibleName.includes('.') ? visibleName.slice(visibleName.lastIndexOf('.') + 1).trim().toLowerCase() : '';
+  const expectedTypes = EXTENSION_MIME_TYPES[extension];
+  const bytes = attachment.data ? decodeBase64(attachment.data) : null;
+  const detected = bytes ? sniffFileType(bytes) : null;
+
+  const flags = {
+    dangerousExtension: DANGEROUS_EXTENSIONS.has(extension),
+    doubleExtension: extensions.length >= 2 && DECOY_EXTENSIONS.has(extensions[extensions.length - 2]) &&
+      (DANGEROUS_EXTENSIONS.has(extension) || CONTAINER_EXTENSIONS.has(extension) || HTML_EXTENSIONS.has(extension)),
+    // RTLO turns "invoice<RTLO>fdp.exe" into "invoiceexe.pdf"; long runs of spaces push the real extension out of view.
+    unicodeTrick: visibleName.length < filename.replace(/[\s.]+$/, '').length || /\s{5,}\S*$/.test(visibleName),
+    mimeMismatch: Boolean(expectedTypes) && !GENERIC_MIME_TYPES.includes(mimeType) && !expectedTypes.includes(mimeType),
+    // The content is something else than the name or the declared type say; names without an extension say nothing.
+    contentMismatch: Boolean(detected) && ((Boolean(extension) && !detected.extensions.includes(extension)) ||
+      (!GENERIC_MIME_TYPES.includes(mimeType) && !isDeclaredType(detected, mimeType))),
+    executableContent: Boolean(detected) && detected.executable,
+    archive: ARCHIVE_EXTENSIONS.has(extension),
+    passwordHint: false,
+    htmlSmuggling: HTML_EXTENSIONS.has(extension) || mimeType === 'text/html' || mimeType === 'image/svg+xml',
+    container: CONTAINER_EXTENSIONS.has(extension)
+  };
+  // Encrypted archives can't be scanned, so the password comes in the body.
+  flags.passwordHint = flags.archive && PASSWORD_HINT.test(options.bodyText || '');
+
+  return {
+    filename,
+    mimeType,
+    size: attachment.size || 0,
+    extension,
+    extensions,
+    detectedType: detected ? detected.mimeType : null,
+    sha256: bytes ? createHash('sha256').update(bytes).digest('hex') : null,
+    md5: bytes ? createHash('md5').update(bytes).digest('hex') : null,
+    ...flags,
+    risks: Object.keys(flags).filter(flag => flags[flag] && flag !== 'archive')
+  };
+}
+
+/**
+ * Profiles every attachment of an email and counts the flags
+ * @param {Object[]} attachments - Attachments as returned by a preprocessor
+ * @param {Object} [options] - See analyzeAttachment
+ * @returns {Object} { attachments, counts } with counts of total, risky and each flag, and the totalSize
+ */
+function analyzeAttachments(attachments, options = {}) {
+  const analyzed = (attachments || []).map(attachment => analyzeAttachment(attachment, options));
+  const count = flag => analyzed.filter(a => a[flag]).length;
+  return {
+    attachments: analyzed,
+    counts: {
+      total: analyzed.length,
+      risky: analyzed.filter(a => a.risks.length).length,
+      dangerousExtension: count('dangerousExtension'),
+      doubleExtension: count('doubleExtension'),
+      unicodeTrick: count('unicodeTrick'),
+      mimeMismatch: count('mimeMismatch'),
+      contentMismatch: count('contentMismatch'),
+      executableContent: count('executableContent'),
+      archive: count('archive'),
+      passwordHint: count('passwordHint'),
+      htmlSmuggling: count('htmlSmuggling'),
+      container: count('container'),
+      totalSize: analyzed.reduce((sum, a) => sum + a.size, 0)
+    }
+  };
+}
+
+// The declared type agrees with the content when it is the detected type or one expected for an
+// extension of that type, e.g. application/msword for OLE content.
+function isDeclaredType(detected, mimeType) {
+  return detected.mimeType === mimeType ||
+    detected.extensions.some(extension => (EXTENSION_MIME_TYPES[extension] || []).includes(mimeType));
+}
+
+export {
+  analyzeAttachment,
+  analyzeAttachments
+};
@@ -0,0 +1,209 @@
+import { getHeaderValues, stripComments } from './headers.js';
+import { isSameOrganization, normalizeHost } from './domains.js';
+
+/**
+ * Parses an Authentication-Results or ARC-Authentication-Results header (RFC 8601, RFC 8617)
+ * @param {string} value - Header value
+ * @returns {Object} { instance, authservId, results: [{ method, result, reason, comment, properties }] }
+ */
+function parseAuthenticationResults(value) {
+  const segments = splitOutside(value || '', ';').map(segment => segment.trim()).filter(Boolean);
+  const parsed = { instance: null, authservId: null, results: [] };
+
+  // ARC-Authentication-Results start with the instance tag, "i=1; mx.google.com; ..."
+  if (segments.length && /^i\s*=\s*\d+$/i.test(segments[0])) {
+    parsed.instance = Number(segments.shift().split('=')[1]);
+  }
+  if (segments.length) {
+    // The authserv-id may be followed by a version number.
+    parsed.authservId = stripComments(segments.shift()).text.split(/\s+/)[0].toLowerCase() || null;
+  }
+
+  segments.forEach(segment => {
+    const { text, comments } = stripComments(segment);
+    const [first, ...rest] = splitOutside(text, ' ').filter(Boolean);
+    if (!first || !first.includes('=')) return; // "none" means no results
+    const [method, result] = first.split('=');
+    const entry = {
+      method: method.split('/')[0].toLowerCase(),
+      result: unquote(result).toLowerCase(),
+      reason: null,
+      comment: comments.join(' ') || null,
+      properties: {}
+    };
+    rest.forEach(token => {
+      const index = token.indexOf('=');
+      if (index === -1) return;
+      const name = token.slice(0, index).toLowerCase();
+      const propertyValue = unquote(token.slice(index + 1));
+      if (name === 'reason') {
+        entry.reason = propertyValue;
+      } else {
+        entry.properties[name] = propertyValue;
+      }
+    });
+    parsed.results.push(entry);
+  });
+
+  return parsed;
+}
+
+/**
+ * Parses a Received-SPF header (RFC 7208 section 9.1)
+ * @param {string} value - Header value
+ * @returns {Object} { result, comment, properties } with properties such as client-ip and envelope-from
+ */
+function parseReceivedSpf(value) {
+  const { text, comments } = stripComments(value || '');
+  const [result, ...rest] = text.trim().split(/\s+/);
+  const properties = {};
+  splitOutside(rest.join(' '), ';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    properties[pair.slice(0, index).trim().toLowerCase()] = unquote(pair.slice(index + 1).trim());
+  });
+  return { result: (result || '').toLowerCase() || null, comment: comments.join(' ') || null, properties };
+}
+
+/**
+ * Parses a DKIM-Signature or ARC-Seal style tag list, "v=1; a=rsa-sha256; d=example.com"
+ * @param {string} value - Header value
+ * @returns {Object} Tag values keyed by tag name, whitespace removed
+ */
+function parseTagList(value) {
+  const tags = {};
+  (value || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    tags[pair.slice(0, index).trim().toLowerCase()] = pair.slice(index + 1).replace(/\s+/g, '');
+  });
+  return tags;
+}
+
+/**
+ * Turns the authentication headers of an email into SPF, DKIM, DMARC and ARC verdicts
+ * @param {HeaderList|Object} headers - The email's HeaderList or flat headers
+ * @param {string} fromDomain - Domain of the From address, used for alignment
+ * @param {Object} [options] - Analysis options
+ * @param {string[]} [options.trustedAuthservIds] - Only use results added by these servers, e.g. ['mx.google.com'].
+ *   By default the topmost Authentication-Results header, the one added by the receiving server, is used.
+ * @returns {Object} Authentication verdicts
+ */
+function analyzeAuthentication(headers, fromDomain, options = {}) {
+  const from = normalizeHost(fromDomain) || null;
+  const trusted = (options.trustedAuthservIds || []).map(id => id.toLowerCase());
+  const authResults = getHeaderValues(headers, 'authentication-results')
+    .map(parseAuthenticationResults)
+    .filter(ar => !trusted.length || trusted.includes(ar.authservId));
+  const authResult = authResults[0] || { authservId: null, results: [] };
+  const byMethod = method => authResult.results.filter(r => r.method === method);
+
+  // SPF: Authentication-Results first, Received-SPF as a fallback.
+  const spfResult = byMethod('spf')[0];
+  const receivedSpf = getHeaderValues(headers, 'received-spf').map(parseReceivedSpf)[0];
+  const spfDomain = spfResult
+    ? domainOf(spfResult.properties['smtp.mailfrom'] || spfResult.properties['smtp.helo'])
+    : domainOf(receivedSpf?.properties['envelope-from'] || receivedSpf?.properties['helo']);
+  const spf = {
+    result: spfResult?.result || receivedSpf?.result || null,
+    domain: spfDomain,
+    aligned: isSameOrganization(spfDomain, from)
+  };
+
+  // DKIM: one verdict per signature, reported on the best one.
+  const signatures = getHeaderValues(headers, 'dkim-signature').map(parseTagList);
+  const dkimResults = byMethod('dkim').map(r => {
+    const domain = domainOf(r.properties['header.d'] || r.properties['header.i']);
+    return {
+      domain,
+      selector: r.properties['header.s'] || null,
+      result: r.result,
+      aligned: isSameOrganization(domain, from)
+    };
+  });
+  if (!dkimResults.length) {
+    // Signed, but nobody reported verifying the signatures.
+    signatures.forEach(tags => {
+      const domain = normalizeHost(tags.d) || null;
+      dkimResults.push({ domain, selector: tags.s || null, result: null, aligned: isSameOrganization(domain, from) });
+    });
+  }
+  const bestDkim = dkimResults.find(r => r.result === 'pass' && r.aligned) ||
+    dkimResults.find(r => r.result === 'pass') ||
+    dkimResults[0];
+  const dkim = {
+    result: bestDkim ? bestDkim.result : null,
+    domain: bestDkim ? bestDkim.domain : null,
+    aligned: Boolean(bestDkim && bestDkim.aligned),
+    signatures: dkimResults
+  };
+
+  // DMARC: the receiver's verdict, plus the published policy from its comment.
+  const dmarcResult = byMethod('dmarc')[0];
+  const policy = /\bp=(\w+)/i.exec(dmarcResult?.comment || '') || [];
+  const dmarc = {
+    result: dmarcResult?.result || null,
+    domain: normalizeHost(dmarcResult?.properties['header.from']) || from,
+    policy: policy[1] ? policy[1].toLowerCase() : null
+  };
+
+  // ARC: the receiver's chain verdict, else the chain validation of the newest seal.
+  const seals = getHeaderValues(headers, 'arc-seal').map(parseTagList)
+    .sort((a, b) => Number(b.i || 0) - Number(a.i || 0));
+  const arcResult = byMethod('arc')[0];
+  const arc = {
+    result: arcResult?.result || null,
+    instances: seals.length,
+    chainValidation: seals.length ? (seals[0].cv || '').toLowerCase() || null : null,
+    sealer: seals.length ? normalizeHost(seals[0].d) || null : null
+  };
+
+  return {
+    authservId: authResult.authservId,
+    fromDomain: from,
+    spf,
+    dkim,
+    dmarc,
+    arc,
+    // DMARC style alignment: an aligned identifier that passed.
+    aligned: (spf.result === 'pass' && spf.aligned) || (dkim.result === 'pass' && dkim.aligned)
+  };
+}
+
+function domainOf(identity) {
+  if (!identity) return null;
+  const value = identity.replace(/^<|>$/g, '');
+  return normalizeHost(value.slice(value.lastIndexOf('@') + 1)) || null;
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') && value.length > 1 ? value.slice(1, -1) : value;
+}
+
+function splitOutside(value, separator) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quoted = false;
+  for (const char of value) {
+    if (char === '"' && depth === 0) quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')' && depth > 0) depth--;
+    const isSeparator = separator === ' ' ? /\s/.test(char) : char === separator;
+    if (isSeparator && !quoted && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+export {
+  parseAuthenticationResults,
+  parseReceivedSpf,
+  parseTagList,
+  analyzeAuthentication
+};
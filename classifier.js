@@ -0,0 +1,130 @@
+import { FeatureExtractor } from './featureExtraction.js';
+import { models } from './models.js';
+import { chunkText, getModelMaxLength } from './tokenChunks.js';
+
+const DEFAULT_MODEL = 'Xenova/mobilebert-uncased-mnli';
+const DEFAULT_TASK = 'zero-shot-classification';
+
+// Labels and the hypotheses an NLI model tests them with, "This email is {}.".
+const DEFAULT_LABELS = {
+  phishing: 'a phishing attempt',
+  spam: 'spam',
+  ham: 'a legitimate message'
+};
+
+/**
+ * Classifies an email as phishing, spam or ham with a local transformer model, either zero-shot with
+ * an NLI model or with a text-classification model fine-tuned for the task
+ * @param {string|Object} input - Text, features from FeatureExtractor.extract, or a processed email,
+ *   which is extracted first with the classifier's tokenizer
+ * @param {Object} [options] - Classification options
+ * @param {string} [options.task] - 'zero-shot-classification' (the default) or 'text-classification'
+ * @param {string} [options.model] - Model id, Xenova/mobilebert-uncased-mnli by default
+ * @param {string[]|Object} [options.labels] - Labels to score, or labels keyed to the phrase the hypothesis
+ *   uses for them. Defaults to phishing, spam and ham.
+ * @param {string} [options.hypothesisTemplate] - Zero-shot hypothesis, "This email is {}." by default
+ * @param {Object} [options.labelMap] - Output labels of a text-classification model mapped to ours, e.g.
+ *   { LABEL_1: 'phishing' }. Labels named like ours map to them without it.
+ * @param {number} [options.temperature] - Temperature scaling of the probabilities, fitted on labelled
+ *   mail; 1 (the model's own) by default
+ * @param {Function} [options.classifier] - A loaded pipeline, instead of loading model
+ * @param {ModelManager} [options.models] - Loads model, the shared manager by default
+ * @param {Object} [options.truncation] - Truncation of a processed email's context, see chunkText. With
+ *   'sliding-window' every chunk is classified and the probabilities are averaged. Zero-shot, maxTokens
+ *   leaves room for the longest hypothesis.
+ * @returns {Promise<Object>} { model, task, label, probabilities, chunks }. probabilities has a probability
+ *   per label summing to 1, label is the most probable and chunks lists { index, probabilities } per
+ *   classified chunk.
+ */
+async function classify(input, options = {}) {
+  const task = options.task || DEFAULT_TASK;
+  const model = options.model || DEFAULT_MODEL;
+  const labels = Array.isArray(options.labels)
+    ? Object.fromEntries(options.labels.map(label => [label, label]))
+    : options.labels || DEFAULT_LABELS;
+  const classifier = options.classifier || await (options.models || models).getPipeline(task, model);
+  const hypothesisTemplate = options.hypothesisTemplate || 'This email is {}.';
+  const tokenizer = classifier.tokenizer;
+  const maxTokens = tokenizer && getContextTokens(tokenizer, task, Object.values(labels), hypothesisTemplate, options.truncation);
+
+  let texts;
+  if (typeof input === 'string') {
+    texts = [input];
+  } else {
+    const features = 'truncatedContext' in input ? input : new FeatureExtractor({
+      tokenizer,
+      truncation: { ...options.truncation, maxTokens }
+    }).extract(input);
+    texts = features.tokens?.strategy === 'sliding-window'
+      ? features.tokens.chunks.map(chunk => chunk.text)
+      : [features.truncatedContext];
+  }
+  // Text from elsewhere can still be too long, and the pipeline would cut the hypothesis off its end.
+  if (tokenizer && task === 'zero-shot-classification') {
+    texts = texts.map(text => chunkText(tokenizer, text, { maxTokens }).text);
+  }
+
+  const chunks = [];
+  for (const [index, text] of texts.entries()) {
+    const scores = task === 'zero-shot-classification'
+      ? await scoreZeroShot(classifier, text, labels, hypothesisTemplate)
+      : await scoreTextClassification(classifier, text, labels, options.labelMap || {});
+    chunks.push({ index, probabilities: calibrate(scores, options.temperature || 1) });
+  }
+
+  const probabilities = {};
+  Object.keys(labels).forEach(label => {
+    probabilities[label] = chunks.reduce((sum, chunk) => sum + chunk.probabilities[label], 0) / chunks.length;
+  });
+  return {
+    model,
+    task,
+    label: Object.keys(probabilities).reduce((a, b) => (probabilities[b] > probabilities[a] ? b : a)),
+    probabilities,
+    chunks
+  };
+}
+
+// Tokens the context may take. A zero-shot input is the pair [CLS] context [SEP] hypothesis [SEP], so the
+// longest hypothesis and its extra separator are reserved.
+function getContextTokens(tokenizer, task, phrases, hypothesisTemplate, truncation = {}) {
+  const maxTokens = Math.min(truncation.maxTokens || Infinity, getModelMaxLength(tokenizer));
+  if (task !== 'zero-shot-classification') return maxTokens;
+  const hypothesisTokens = Math.max(...phrases.map(phrase =>
+    tokenizer.encode(hypothesisTemplate.replace('{}', phrase), null, { add_special_tokens: false }).length));
+  return maxTokens - hypothesisTokens - 1;
+}
+
+async function scoreZeroShot(classifier, text, labels, hypothesisTemplate) {
+  const phrases = Object.values(labels);
+  const output = await classifier(text, phrases, { hypothesis_template: hypothesisTemplate });
+  const scores = {};
+  Object.entries(labels).forEach(([label, phrase]) => {
+    scores[label] = output.scores[output.labels.indexOf(phrase)];
+  });
+  return scores;
+}
+
+async function scoreTextClassification(classifier, text, labels, labelMap) {
+  // topk 0 returns every label of the model.
+  const output = await classifier(text, { topk: 0 });
+  const scores = Object.fromEntries(Object.keys(labels).map(label => [label, 0]));
+  output.forEach(({ label, score }) => {
+    const ours = labelMap[label] || Object.keys(labels).find(l => l.toLowerCase() === label.toLowerCase());
+    if (ours in scores) scores[ours] += score;
+  });
+  return scores;
+}
+
+// Temperature scaling over our labels only, renormalized to sum to 1.
+function calibrate(scores, temperature) {
+  const logits = Object.entries(scores).map(([label, score]) => [label, Math.log(Math.max(score, 1e-12)) / temperature]);
+  const max = Math.max(...logits.map(([, logit]) => logit));
+  const exps = logits.map(([label, logit]) => [label, Math.exp(logit - max)]);
+  const total = exps.reduce((sum, [, value]) => sum + value, 0);
+  return Object.fromEntries(exps.map(([label, value]) => [label, value / total]));
+}
+
+export {
+  classify
+};
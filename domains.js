@@ -0,0 +1,103 @@
+import { isIP } from 'node:net';
+import { domainToASCII } from 'node:url';
+import { getDomain, getPublicSuffix as getListedSuffix } from 'tldts';
+
+// Private suffixes such as github.io are included: each of their subdomains has its own owner.
+const PSL_OPTIONS = { allowPrivateDomains: true, extractHostname: false };
+
+// Free webmail providers: anyone can register an address, so they say nothing about who sent it.
+const FREEMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.de', 'yahoo.co.jp',
+  'ymail.com', 'rocketmail.com', 'outlook.com', 'hotmail.com', 'hotmail.co.uk', 'hotmail.fr',
+  'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+  'pm.me', 'gmx.com', 'gmx.net', 'gmx.de', 'web.de', 'mail.com', 'zoho.com', 'yandex.com', 'yandex.ru',
+  'mail.ru', 'qq.com', '163.com', '126.com', 'tutanota.com', 'fastmail.com', 'mailfence.com'
+]);
+
+/**
+ * Normalizes a host name: lower case, no trailing dot, punycode for international names
+ * @param {string} host - Host or domain name
+ * @returns {string} Normalized host, or an empty string if there is none
+ */
+function normalizeHost(host) {
+  const trimmed = (host || '').trim().toLowerCase().replace(/\.$/, '').replace(/^\[|\]$/g, '');
+  if (!trimmed || isIP(trimmed)) return trimmed;
+  return domainToASCII(trimmed) || trimmed;
+}
+
+/**
+ * Returns the public suffix of a host from the Public Suffix List, e.g. 'co.uk' for 'mail.example.co.uk'
+ * @param {string} host - Host or domain name
+ * @returns {string} The public suffix, or an empty string for IP literals and bare labels
+ */
+function getPublicSuffix(host) {
+  const normalized = normalizeHost(host);
+  if (!normalized || isIP(normalized) || !normalized.includes('.')) return '';
+  return getListedSuffix(normalized, PSL_OPTIONS) || '';
+}
+
+/**
+ * Returns the registrable ("organizational") domain of a host, e.g. 'example.co.uk' for
+ * 'mail.example.co.uk'. Used for DMARC style relaxed alignment and same-site checks.
+ * @param {string} host - Host or domain name
+ * @returns {string} The registrable domain; IP literals are returned as is
+ */
+function getRegistrableDomain(host) {
+  const normalized = normalizeHost(host);
+  if (!normalized || isIP(normalized)) return normalized;
+  return getDomain(normalized, PSL_OPTIONS) || normalized;
+}
+
+/**
+ * Checks whether two hosts belong to the same registrable domain (relaxed alignment)
+ * @param {string} a - Host or domain name
+ * @param {string} b - Host or domain name
+ * @returns {boolean} True when both are set and share a registrable domain
+ */
+function isSameOrganization(a, b) {
+  const domainA = getRegistrableDomain(a);
+  return Boolean(domainA) && domainA === getRegistrableDomain(b);
+}
+
+/**
+ * Checks whether a domain belongs to a free webmail provider
+ * @param {string} host - Host or domain name, e.g. the domain of a From address
+ * @returns {boolean} True for freemail domains and their subdomains
+ */
+function isFreemail(host) {
+  return FREEMAIL_DOMAINS.has(getRegistrableDomain(host));
+}
+
+/**
+ * Checks whether an IP address is private, loopback, link-local or otherwise not routable
+ * on the public internet
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {boolean} True for non-public addresses, false for public ones and non-IPs
+ */
+function isPrivateIp(ip) {
+  const address = (ip || '').toLowerCase().replace(/^ipv6:/, '');
+  const version = isIP(address);
+  if (version === 4) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 169 && b === 254) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+  if (version === 6) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+    if (mapped) return isPrivateIp(mapped[1]);
+    return address === '::1' || address === '::' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address);
+  }
+  return false;
+}
+
+export {
+  normalizeHost,
+  getPublicSuffix,
+  getRegistrableDomain,
+  isSameOrganization,
+  isFreemail,
+  isPrivateIp
+};
@@ -0,0 +1,83 @@
+import { FeatureExtractor } from './featureExtraction.js';
+import { models } from './models.js';
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_BATCH_SIZE = 32;
+
+const FIELDS = ['subject', 'body', 'context'];
+
+/**
+ * Embeds the subject, the body and the combined context of emails with a local sentence embedding
+ * model, for similarity search and clustering
+ * @param {Object|Object[]} input - Features from FeatureExtractor.extract or a processed email, which is
+ *   extracted first with the model's tokenizer; or an array of them to embed in batches
+ * @param {Object} [options] - Embedding options
+ * @param {string} [options.model] - Model id, Xenova/all-MiniLM-L6-v2 by default
+ * @param {string} [options.pooling] - 'mean' (the default) or 'cls'
+ * @param {boolean} [options.normalize] - Scale vectors to unit length, true by default, so that cosine
+ *   similarity is a dot product
+ * @param {number} [options.batchSize] - Texts per model call, 32 by default
+ * @param {Function} [options.embedder] - A loaded feature-extraction pipeline, instead of loading model
+ * @param {ModelManager} [options.models] - Loads model, the shared manager by default
+ * @returns {Promise<Object|Object[]>} { model, pooling, normalize, subject, body, context } per email, each
+ *   of subject, body and context a number[] or null when the text is empty
+ */
+async function embed(input, options = {}) {
+  const model = options.model || DEFAULT_MODEL;
+  const pooling = options.pooling || 'mean';
+  const normalize = options.normalize !== false;
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const embedder = options.embedder || await (options.models || models).getPipeline('feature-extraction', model);
+  const extractor = new FeatureExtractor({ tokenizer: embedder.tokenizer });
+
+  const emails = Array.isArray(input) ? input : [input];
+  const texts = emails.map(email => {
+    const features = 'truncatedContext' in email ? email : extractor.extract(email);
+    return {
+      subject: normalizeText(features.subject),
+      body: normalizeText(features.markdown),
+      context: features.truncatedContext
+    };
+  });
+
+  // Every non-empty text of every email, embedded batchSize at a time.
+  const pending = texts.flatMap((fields, i) => FIELDS.filter(field => fields[field]).map(field => ({ i, field })));
+  const vectors = texts.map(() => ({ subject: null, body: null, context: null }));
+  for (let start = 0; start < pending.length; start += batchSize) {
+    const batch = pending.slice(start, start + batchSize);
+    const output = await embedder(batch.map(({ i, field }) => texts[i][field]), { pooling, normalize });
+    output.tolist().forEach((vector, j) => {
+      vectors[batch[j].i][batch[j].field] = vector;
+    });
+  }
+
+  const results = vectors.map(vector => ({ model, pooling, normalize, ...vector }));
+  return Array.isArray(input) ? results : results[0];
+}
+
+/**
+ * Cosine similarity of two embeddings
+ * @param {number[]} a - An embedding
+ * @param {number[]} b - An embedding of the same size
+ * @returns {number} Between -1 and 1, 0 when either vector is empty or zero
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((value, i) => {
+    dot += value * b[i];
+    normA += value * value;
+    normB += b[i] * b[i];
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+export {
+  embed,
+  cosineSimilarity
+};
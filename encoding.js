@@ -0,0 +1,210 @@
+import { Base64 } from 'js-base64';
+
+// Charset labels seen in the wild that TextDecoder does not know under that name.
+const CHARSET_ALIASES = {
+  'utf8': 'utf-8',
+  'cp1252': 'windows-1252',
+  'cp-1252': 'windows-1252',
+  'latin1': 'iso-8859-1',
+  'latin-1': 'iso-8859-1',
+  'sjis': 'shift_jis',
+  'x-sjis': 'shift_jis',
+  'cp932': 'shift_jis',
+  'ms932': 'shift_jis',
+  'windows-31j': 'shift_jis',
+  'ascii': 'us-ascii',
+  'ks_c_5601-1987': 'euc-kr',
+  'gb2312': 'gbk'
+};
+
+const FALLBACK_CHARSET = 'windows-1252';
+
+// Node's TextDecoder decodes windows-1252 (and its iso-8859-1/us-ascii aliases) as
+// Latin-1, which maps 0x80-0x9F to C1 controls instead of these characters.
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+  0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+  0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+];
+
+/**
+ * Parses a structured MIME header value such as Content-Type or Content-Disposition
+ * @param {string} value - Raw header value, e.g. 'text/plain; charset="utf-8"'
+ * @returns {Object} The lower-cased main value and a map of lower-cased parameter names to values
+ */
+function parseHeaderParams(value) {
+  const result = { value: '', params: {} };
+  if (!value) return result;
+
+  const segments = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '"' && value[i - 1] !== '\\') {
+      quoted = !quoted;
+    }
+    if (char === ';' && !quoted) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+
+  result.value = segments.shift().trim().toLowerCase();
+  segments.forEach(segment => {
+    const index = segment.indexOf('=');
+    if (index === -1) return;
+    const name = segment.slice(0, index).trim().toLowerCase();
+    let paramValue = segment.slice(index + 1).trim();
+    if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+      paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (name) {
+      result.params[name] = paramValue;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Decodes base64 or base64url data into bytes
+ * @param {string} data - Encoded data, whitespace is ignored
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase64(data) {
+  return Base64.toUint8Array(data.replace(/[\s=]/g, ''));
+}
+
+/**
+ * Decodes quoted-printable content (RFC 2045 section 6.7)
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeQuotedPrintable(bytes) {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  const isHex = byte => (byte >= 48 && byte <= 57) || (byte >= 65 && byte <= 70) || (byte >= 97 && byte <= 102);
+
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte !== 61) { // '='
+      output[length++] = byte;
+      continue;
+    }
+    // Soft line break: '=' followed by optional trailing whitespace and a line ending.
+    let j = i + 1;
+    while (j < bytes.length && (bytes[j] === 32 || bytes[j] === 9)) j++;
+    if (bytes[j] === 13 && bytes[j + 1] === 10) {
+      i = j + 1;
+    } else if (bytes[j] === 10) {
+      i = j;
+    } else if (j >= bytes.length) {
+      i = j;
+    } else if (isHex(bytes[i + 1]) && isHex(bytes[i + 2])) {
+      output[length++] = parseInt(String.fromCharCode(bytes[i + 1], bytes[i + 2]), 16);
+      i += 2;
+    } else {
+      // Not a valid escape, keep the literal '='.
+      output[length++] = byte;
+    }
+  }
+
+  return output.slice(0, length);
+}
+
+/**
+ * Removes a Content-Transfer-Encoding from part content
+ * @param {Uint8Array} bytes - Content bytes as transmitted
+ * @param {string} encoding - Content-Transfer-Encoding header value
+ * @returns {{bytes: Uint8Array, warning: string|null}} Decoded bytes and a warning if the encoding is unknown
+ */
+function decodeTransferEncoding(bytes, encoding) {
+  const normalized = (encoding || '').trim().toLowerCase();
+  switch (normalized) {
+    case '':
+    case '7bit':
+    case '8bit':
+    case 'binary':
+      return { bytes, warning: null };
+    case 'base64':
+      return { bytes: decodeBase64(bytesToBinaryString(bytes)), warning: null };
+    case 'quoted-printable':
+      return { bytes: decodeQuotedPrintable(bytes), warning: null };
+    default:
+      return { bytes, warning: `Unknown transfer encoding "${encoding}", content left as is` };
+  }
+}
+
+/**
+ * Decodes bytes into a string using a declared charset, falling back to a best guess
+ * @param {Uint8Array} bytes - Content bytes with the transfer encoding removed
+ * @param {string} [charset] - Declared charset, if any
+ * @returns {{text: string, charset: string, warning: string|null}} Decoded text, the charset used and a warning when it was guessed
+ */
+function decodeCharset(bytes, charset) {
+  const declared = (charset || '').trim().toLowerCase();
+  const label = CHARSET_ALIASES[declared] || declared;
+
+  if (label) {
+    try {
+      // TextDecoder treats us-ascii as windows-1252, so check 7-bit content ourselves.
+      if (label === 'us-ascii' && bytes.some(byte => byte > 127)) {
+        throw new TypeError('Content is not 7-bit');
+      }
+      return { text: decode(bytes, label, true), charset: label, warning: null };
+    } catch (error) {
+      const guess = guessCharset(bytes);
+      // TextDecoder throws a RangeError for unknown labels and a TypeError for invalid content.
+      const reason = error instanceof RangeError
+        ? `Unsupported charset "${charset}"`
+        : `Content is not valid ${charset}`;
+      return { ...guess, warning: `${reason}, decoded as ${guess.charset}` };
+    }
+  }
+
+  // No declared charset: UTF-8 is a superset of US-ASCII, so only warn when it fails.
+  const guess = guessCharset(bytes);
+  return { ...guess, warning: guess.charset === 'utf-8' ? null : `No charset declared, decoded as ${guess.charset}` };
+}
+
+function guessCharset(bytes) {
+  try {
+    return { text: decode(bytes, 'utf-8', true), charset: 'utf-8' };
+  } catch (error) {
+    return { text: decode(bytes, FALLBACK_CHARSET, false), charset: FALLBACK_CHARSET };
+  }
+}
+
+function decode(bytes, label, fatal) {
+  const decoder = new TextDecoder(label, { fatal });
+  if (decoder.encoding !== 'windows-1252') {
+    return decoder.decode(bytes);
+  }
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    result += String.fromCharCode(byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : byte);
+  }
+  return result;
+}
+
+function bytesToBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+export {
+  parseHeaderParams,
+  decodeBase64,
+  decodeQuotedPrintable,
+  decodeTransferEncoding,
+  decodeCharset
+};
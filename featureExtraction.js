@@ -1,9 +1,37 @@
 import { NodeHtmlMarkdown } from 'node-html-markdown';
 import * as htmlparser2 from "htmlparser2";
-import { pipeline } from '@xenova/transformers';
+import { parseAddressList } from './addressParser.js';
+import { analyzeAuthentication } from './authResults.js';
+import { analyzeReceivedChain } from './receivedChain.js';
+import { HeaderList } from './headers.js';
+import { extractUrls } from './urls.js';
+import { scoreDomain } from './lookalikes.js';
+import { analyzeDisplayName, getBrandNames } from './impersonation.js';
+import { analyzeSenderConsistency } from './senderConsistency.js';
+import { analyzeAttachments } from './attachments.js';
+import { analyzeHiddenContent } from './hiddenContent.js';
+import { analyzeForms } from './forms.js';
+import { analyzeRemoteContent } from './remoteContent.js';
+import { chunkText } from './tokenChunks.js';
+import { models } from './models.js';
 
 class FeatureExtractor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Feature extraction options.
+   * @param {string[]} [options.trustedAuthservIds] - Authentication-Results servers to trust, see analyzeAuthentication.
+   * @param {string[]} [options.protectedDomains] - Our own domains and the brands we care about, for lookalike scoring.
+   * @param {string[]} [options.internalDomains] - Our own domains, for VIP impersonation. Defaults to protectedDomains.
+   * @param {Array<string|Object>} [options.vips] - VIP names, or { name, addresses }, see analyzeDisplayName.
+   * @param {string[]} [options.brands] - Brand names to flag in display names, on top of those of protectedDomains.
+   * @param {Object} [options.tokenizer] - A loaded @xenova/transformers tokenizer for truncatedContext.
+   * @param {string} [options.tokenizerModel] - Model whose tokenizer loadTokenizer() loads when no tokenizer is given.
+   *   Await loadTokenizer() before extracting: extract() and extractMetaFeatures() throw until it is loaded.
+   * @param {Object} [options.truncation] - { maxTokens, strategy, headTokens, stride }, see chunkText.
+   * @param {ModelManager} [options.models] - Loads tokenizerModel, the shared manager by default.
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.tokenizer = options.tokenizer || null;
     this.nhm = new NodeHtmlMarkdown(
       /* options (optional) */ {}, 
       /* customTransformers (optional) */ undefined,
@@ -11,6 +39,14 @@ class FeatureExtractor {
     );
   }
 
+  // Loads the tokenizer of options.tokenizerModel, after which truncatedContext is cut in tokens, not characters.
+  async loadTokenizer() {
+    if (!this.tokenizer && this.options.tokenizerModel) {
+      this.tokenizer = await (this.options.models || models).getTokenizer(this.options.tokenizerModel);
+    }
+    return this.tokenizer;
+  }
+
   extractSender(email) {
     return email.sender;
   }
@@ -19,6 +55,80 @@ class FeatureExtractor {
     return email.subject;
   }
 
+  // Ordered, case-insensitive headers: the preprocessor's HeaderList, else one built from the flat headers.
+  extractHeaders(email) {
+    return email.headerList || HeaderList.fromObject(email.headers);
+  }
+
+  // The parsed From address, from the preprocessor's address model or the raw sender string.
+  extractFromAddress(email) {
+    return email.addresses?.from?.[0] || parseAddressList(email.sender)[0] || null;
+  }
+
+  // SPF, DKIM, DMARC and ARC verdicts from the authentication headers, aligned against the From domain.
+  extractAuthentication(email) {
+    const fromDomain = this.extractFromAddress(email)?.domain;
+    return analyzeAuthentication(this.extractHeaders(email), fromDomain, {
+      trustedAuthservIds: this.options.trustedAuthservIds
+    });
+  }
+
+  // From compared with Sender, Reply-To, Return-Path and the envelope sender.
+  extractSenderConsistency(email) {
+    return analyzeSenderConsistency(this.extractHeaders(email), this.extractFromAddress(email));
+  }
+
+  // Hops of the Received chain, origin first, with delay and private/public network features.
+  extractReceivedChain(email) {
+    return analyzeReceivedChain(this.extractHeaders(email));
+  }
+
+  // Display names that claim an identity the From address doesn't match.
+  extractImpersonation(email) {
+    const from = this.extractFromAddress(email);
+    if (!from) return null;
+    const protectedDomains = this.options.protectedDomains || [];
+    return analyzeDisplayName(from, {
+      vips: this.options.vips,
+      internalDomains: this.options.internalDomains || protectedDomains,
+      brands: [...(this.options.brands || []), ...getBrandNames(protectedDomains)]
+    });
+  }
+
+  // Reply-To addresses, from the preprocessor's address model or the headers.
+  extractReplyToAddresses(email) {
+    return email.addresses?.replyTo || parseAddressList(this.extractHeaders(email).getAll('reply-to'));
+  }
+
+  // Sender, Reply-To and link domains scored against the protected domains for lookalike tricks.
+  extractLookalikes(email, urls = this.extractUrls(email)) {
+    const protectedDomains = this.options.protectedDomains || [];
+    const score = domain => scoreDomain(domain, protectedDomains);
+    const fromDomain = this.extractFromAddress(email)?.domain;
+    const replyToDomains = this.extractReplyToAddresses(email).map(a => a.domain).filter(Boolean);
+    const linkHosts = urls.map(url => url.host).filter(Boolean);
+
+    const sender = fromDomain ? score(fromDomain) : null;
+    const replyTo = [...new Set(replyToDomains)].map(score);
+    const links = [...new Set(linkHosts)].map(score);
+    return {
+      sender,
+      replyTo,
+      links,
+      score: Math.max(0, sender ? sender.score : 0, ...replyTo.map(r => r.score), ...links.map(l => l.score))
+    };
+  }
+
+  // Every URL in the body with its registrable domain, anchor text and risk flags.
+  extractUrls(email) {
+    return extractUrls(email.body, { senderDomain: this.extractFromAddress(email)?.domain });
+  }
+
+  // Per-attachment risk verdicts from filenames and MIME types, with aggregate counts.
+  extractAttachments(email, markdown = this.extractMarkdown(email)) {
+    return analyzeAttachments(email.attachments, { bodyText: `${email.subject || ''} ${markdown || ''}` });
+  }
+
   extractMarkdown(email) {
     if (!email.body.html) {
       return email.body.plain;
@@ -26,6 +136,21 @@ class FeatureExtractor {
     return this.nhm.translate(email.body.html);
   }
 
+  // Visible and hidden body text, with the hiding techniques found.
+  extractHiddenContent(email) {
+    return analyzeHiddenContent(email.body);
+  }
+
+  // Forms asking for credentials, where they submit to, and scripts, frames, plugins and refresh redirects.
+  extractForms(email) {
+    return analyzeForms(email.body.html, { senderDomain: this.extractFromAddress(email)?.domain });
+  }
+
+  // Remote images, stylesheets, fonts and backgrounds the HTML loads, with tracking pixels flagged.
+  extractRemoteContent(email) {
+    return analyzeRemoteContent(email.body.html, { senderDomain: this.extractFromAddress(email)?.domain });
+  }
+
   extractTagSequence(email) {
     if (!email.body.html) {
       return [];
@@ -58,11 +183,23 @@ class FeatureExtractor {
   }
 
   extractFeatures(email) {
+    const urls = this.extractUrls(email);
+    const markdown = this.extractMarkdown(email);
     return {
       tagSequence: this.extractTagSequence(email),
-      markdown: this.extractMarkdown(email),
+      markdown,
       sender: this.extractSender(email),
       subject: this.extractSubject(email),
+      authentication: this.extractAuthentication(email),
+      receivedChain: this.extractReceivedChain(email),
+      senderConsistency: this.extractSenderConsistency(email),
+      urls,
+      lookalikes: this.extractLookalikes(email, urls),
+      impersonation: this.extractImpersonation(email),
+      attachments: this.extractAttachments(email, markdown),
+      hiddenContent: this.extractHiddenContent(email),
+      forms: this.extractForms(email),
+      remoteContent: this.extractRemoteContent(email),
     };
   }
 
@@ -70,9 +207,23 @@ class FeatureExtractor {
     let context = `${features.sender} ${features.subject} ${features.markdown}`;
     // Remove excess whitespace by replacing multiple whitespace characters with a single space and trimming.
     context = context.replace(/\s+/g, ' ').trim();
+    if (!this.tokenizer && this.options.tokenizerModel) {
+      // Rather than silently cutting in characters instead of the model's tokens.
+      throw new Error(`Tokenizer of "${this.options.tokenizerModel}" is not loaded, await loadTokenizer() first`);
+    }
+    if (!this.tokenizer) {
+      return {
+        context,
+        truncatedContext: context.length > 512 ? context.slice(0, 512) : context,
+        tokens: null
+      };
+    }
+    // Cut to the model's token limit; the chunks cover what a per-chunk classification needs.
+    const { text, ...tokens } = chunkText(this.tokenizer, context, this.options.truncation);
     return {
       context,
-      truncatedContext: context.length > 512 ? context.slice(0, 512) : context
+      truncatedContext: text,
+      tokens
     };
   }
 
@@ -84,72 +235,6 @@ class FeatureExtractor {
   }
 }
 
-// untested
-async function runNER(text) {
-  // Load the token-classification pipeline with the bert-base-NER model.
-  // We pass an options object to have the tokenizer return offset mappings,
-  // though in this example they come back as null so we need to detokenize using the tokens.
-  const ner = await pipeline(
-    'token-classification', 
-    'Xenova/bert-base-NER', 
-    { tokenizerOptions: { return_offsets_mapping: true } }
-  );
-
-  // Run the NER pipeline on the provided text using an aggregation strategy that groups tokens.
-  const entities = await ner(text);
-
-  // Log the extracted entities.
-  console.log("Named Entities:", entities);
-
-  // Group consecutive PERSON tokens:
-  const personEntities = [];
-  let i = 0;
-  while (i < entities.length) {
-    if (entities[i].entity === "B-PER") {
-      const tokens = [];
-      // Collect the tokens in this person group.
-      tokens.push(entities[i].word);
-      i++;
-      while (i < entities.length && (entities[i].entity === "I-PER" || entities[i].entity === "B-PER")) {
-        tokens.push(entities[i].word);
-        i++;
-      }
-      // Detokenize tokens according to wordpiece rules.
-      // For example, for tokens ["Angela", "Me", "##rk", "##el"], we reconstruct "Angela Merkel".
-      let personName = tokens[0];
-      for (let j = 1; j < tokens.length; j++) {
-        if (tokens[j].startsWith("##")) {
-          personName += tokens[j].substring(2);
-        } else {
-          personName += " " + tokens[j];
-        }
-      }
-      personEntities.push(personName);
-    } else {
-      i++;
-    }
-  }
-  
-  // Since we are not given valid character offsets (start/end are null),
-  // we'll replace the identified person names in the original text.
-  let modifiedText = text;
-
-  // Utility: escape any RegExp special characters in the person name string.
-  function escapeRegExp(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  }
-
-  // Replace each person entity with "[PER]".
-  // Using a simple loop, we create a regex for each detected person name.
-  personEntities.forEach(personName => {
-    const regex = new RegExp(escapeRegExp(personName), "g");
-    modifiedText = modifiedText.replace(regex, "[PER]");
-  });
-  
-  // Log the modified text.
-  console.log("Modified Text:", modifiedText);
-}
-
 export {
   FeatureExtractor
 };
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Magic numbers of the file types seen in mail, checked in order. offset is where the
+// signature starts; extensions lists every extension the type is legitimately sent with.
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extensions: ['pdf'], offset: 0, magic: '%PDF-' },
+  { mimeType: 'application/rtf', extensions: ['rtf', 'doc'], offset: 0, magic: '{\\rtf' },
+  { mimeType: 'image/png', extensions: ['png'], offset: 0, magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'], offset: 0, magic: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', extensions: ['gif'], offset: 0, magic: 'GIF8' },
+  { mimeType: 'image/tiff', extensions: ['tif', 'tiff'], offset: 0, magic: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', extensions: ['tif', 'tiff'], offset: 0, magic: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'image/webp', extensions: ['webp'], offset: 8, magic: 'WEBP' },
+  { mimeType: 'audio/wav', extensions: ['wav'], offset: 8, magic: 'WAVE' },
+  { mimeType: 'audio/mpeg', extensions: ['mp3'], offset: 0, magic: 'ID3' },
+  { mimeType: 'video/mp4', extensions: ['mp4', 'm4a', 'm4v', 'mov'], offset: 4, magic: 'ftyp' },
+  { mimeType: 'application/zip', extensions: ['zip'], offset: 0, magic: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/zip', extensions: ['zip'], offset: 0, magic: [0x50, 0x4b, 0x05, 0x06] },
+  { mimeType: 'application/vnd.rar', extensions: ['rar'], offset: 0, magic: 'Rar!\x1a\x07' },
+  { mimeType: 'application/x-7z-compressed', extensions: ['7z'], offset: 0, magic: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mimeType: 'application/gzip', extensions: ['gz', 'tgz'], offset: 0, magic: [0x1f, 0x8b] },
+  { mimeType: 'application/x-bzip2', extensions: ['bz2'], offset: 0, magic: 'BZh' },
+  { mimeType: 'application/x-xz', extensions: ['xz'], offset: 0, magic: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { mimeType: 'application/vnd.ms-cab-compressed', extensions: ['cab'], offset: 0, magic: 'MSCF' },
+  { mimeType: 'application/x-tar', extensions: ['tar'], offset: 257, magic: 'ustar' },
+  // Compound File Binary: legacy Office documents, MSI installers and Outlook messages.
+  {
+    mimeType: 'application/x-ole-storage',
+    extensions: ['doc', 'dot', 'xls', 'xlt', 'ppt', 'pps', 'msi', 'msg', 'vsd'],
+    offset: 0,
+    magic: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]
+  },
+  {
+    mimeType: 'application/x-msdownload',
+    extensions: ['exe', 'dll', 'scr', 'com', 'cpl', 'sys', 'ocx', 'pif', 'xll'],
+    offset: 0,
+    magic: 'MZ',
+    executable: true
+  },
+  { mimeType: 'application/x-executable', extensions: ['elf', 'so', 'bin'], offset: 0, magic: '\x7fELF', executable: true },
+  { mimeType: 'application/x-mach-binary', extensions: ['dylib', 'bin'], offset: 0, magic: [0xcf, 0xfa, 0xed, 0xfe], executable: true },
+  { mimeType: 'application/java-vm', extensions: ['class'], offset: 0, magic: [0xca, 0xfe, 0xba, 0xbe], executable: true },
+  { mimeType: 'application/x-ms-shortcut', extensions: ['lnk'], offset: 0, magic: [0x4c, 0x00, 0x00, 0x00, 0x01, 0x14, 0x02, 0x00], executable: true },
+  { mimeType: 'application/x-virtualbox-vhdx', extensions: ['vhdx'], offset: 0, magic: 'vhdxfile' },
+  { mimeType: 'application/x-iso9660-image', extensions: ['iso', 'img'], offset: 0x8001, magic: 'CD001' },
+  { mimeType: 'application/x-shellscript', extensions: ['sh', 'bash', 'py', 'pl', 'rb'], offset: 0, magic: '#!', executable: true }
+];
+
+// Office Open XML, OpenDocument and Java archives are zip files with a telling first entry or manifest.
+const ZIP_SUBTYPES = [
+  { marker: 'word/', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx', 'docm', 'dotx', 'dotm'] },
+  { marker: 'xl/', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['xlsx', 'xlsm', 'xltx', 'xltm', 'xlam'] },
+  { marker: 'ppt/', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['pptx', 'pptm', 'ppsx', 'potx', 'ppam'] },
+  { marker: 'mimetypeapplication/vnd.oasis.opendocument.', mimeType: 'application/vnd.oasis.opendocument', extensions: ['odt', 'ods', 'odp', 'odg'] },
+  { marker: 'META-INF/MANIFEST.MF', mimeType: 'application/java-archive', extensions: ['jar', 'war', 'ear'], executable: true },
+  { marker: 'AndroidManifest.xml', mimeType: 'application/vnd.android.package-archive', extensions: ['apk'], executable: true }
+];
+
+/**
+ * Detects the type of a file from its first bytes
+ * @param {Uint8Array} bytes - File content, at least the first few kilobytes
+ * @returns {Object|null} { mimeType, extensions, executable }, or null when the type is not recognized
+ */
+function sniffFileType(bytes) {
+  if (!bytes || !bytes.length) return null;
+
+  const signature = SIGNATURES.find(s => matches(bytes, s.offset, s.magic));
+  if (signature) {
+    // Entry names are in the local file headers and in the central directory at the end.
+    if (signature.mimeType === 'application/zip') {
+      const names = toLatin1(bytes.subarray(0, 4096)) + toLatin1(bytes.subarray(Math.max(0, bytes.length - 65536)));
+      const subtype = ZIP_SUBTYPES.find(s => names.includes(s.marker));
+      if (subtype) return describe(subtype);
+    }
+    return describe(signature);
+  }
+
+  // Markup has no magic number, look at the first tag.
+  const text = toLatin1(bytes.subarray(0, 1024)).replace(/^\xef\xbb\xbf/, '').trimStart().toLowerCase();
+  if (/^<\?xml[^>]*>\s*(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg\b/.test(text) || text.startsWith('<svg')) {
+    return { mimeType: 'image/svg+xml', extensions: ['svg', 'svgz'], executable: false };
+  }
+  if (/^(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body|script|meta|iframe)\b/.test(text)) {
+    return { mimeType: 'text/html', extensions: ['html', 'htm', 'xhtml', 'shtml', 'hta'], executable: false };
+  }
+  return null;
+}
+
+function describe(type) {
+  return { mimeType: type.mimeType, extensions: type.extensions, executable: Boolean(type.executable) };
+}
+
+function matches(bytes, offset, magic) {
+  const expected = typeof magic === 'string' ? [...magic].map(char => char.charCodeAt(0)) : magic;
+  if (bytes.length < offset + expected.length) return false;
+  return expected.every((byte, i) => bytes[offset + i] === byte);
+}
+
+function toLatin1(bytes) {
+  let text = '';
+  bytes.forEach(byte => {
+    text += String.fromCharCode(byte);
+  });
+  return text;
+}
+
+export {
+  sniffFileType
+};
@@ -0,0 +1,126 @@
+import * as htmlparser2 from 'htmlparser2';
+import { parseUrl } from './urls.js';
+
+const EMAIL_FIELD = /e-?mail|user(?:name)?|login|account/i;
+const CARD_FIELD = /(?:card|cc)[-_ ]?(?:num|number|no)\b|cardnumber|\bcvv2?\b|\bcvc\b|security[-_ ]?code|expir/i;
+const EMBEDDED_OBJECTS = new Set(['object', 'embed', 'applet']);
+
+/**
+ * Finds the forms and active content of an HTML body: forms and the credential fields they ask for,
+ * where they submit to relative to the sender, and scripts, frames, plugins and meta refresh redirects
+ * @param {string} html - The HTML body
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.senderDomain] - Domain of the From address
+ * @returns {Object} { forms, passwordFields, emailFields, cardFields, credentialForm, scripts, iframes, objects,
+ *   metaRefresh }. Each form is { action, method, actionDomain, actionTarget, passwordFields, emailFields,
+ *   cardFields, credentialForm }, actionTarget one of 'none', 'sender', 'external', 'ip' or 'script'.
+ *   Field counts include inputs outside forms, which scripts can submit too. iframes lists frame sources and
+ *   metaRefresh has { delay, url, domain } per refresh tag; scripts and objects are counts.
+ */
+function analyzeForms(html, options = {}) {
+  const result = {
+    forms: [],
+    passwordFields: 0,
+    emailFields: 0,
+    cardFields: 0,
+    credentialForm: false,
+    scripts: 0,
+    iframes: [],
+    objects: 0,
+    metaRefresh: []
+  };
+  if (!html) return result;
+
+  const openForms = [];
+  const parser = new htmlparser2.Parser({
+    onopentag(name, attributes) {
+      if (name === 'form') {
+        const form = createForm(attributes, options.senderDomain);
+        result.forms.push(form);
+        openForms.push(form);
+      } else if (name === 'input' || name === 'select' || name === 'textarea') {
+        const field = classifyField(name, attributes);
+        if (!field) return;
+        result[field]++;
+        if (openForms.length) openForms[openForms.length - 1][field]++;
+      } else if (name === 'script') {
+        result.scripts++;
+      } else if (name === 'iframe' || name === 'frame') {
+        result.iframes.push(attributes.src || '');
+      } else if (EMBEDDED_OBJECTS.has(name)) {
+        result.objects++;
+      } else if (name === 'meta' && (attributes['http-equiv'] || '').toLowerCase() === 'refresh') {
+        result.metaRefresh.push(parseRefresh(attributes.content || '', options.senderDomain));
+      }
+    },
+    onclosetag(name) {
+      if (name === 'form') openForms.pop();
+    }
+  }, {
+    decodeEntities: true,
+    recognizeSelfClosing: true
+  });
+  parser.write(html);
+  parser.end();
+
+  result.forms.forEach(form => {
+    form.credentialForm = form.passwordFields > 0 || form.cardFields > 0;
+  });
+  result.credentialForm = result.passwordFields > 0 || result.cardFields > 0;
+  return result;
+}
+
+function createForm(attributes, senderDomain) {
+  const action = (attributes.action || '').trim();
+  const url = action ? parseUrl(action, { senderDomain }) : null;
+  let actionTarget = 'none';
+  if (url) {
+    if (url.scriptScheme) {
+      actionTarget = 'script';
+    } else if (url.ipHost) {
+      actionTarget = 'ip';
+    } else {
+      actionTarget = url.senderDomain ? 'sender' : 'external';
+    }
+  }
+  return {
+    action,
+    method: (attributes.method || 'get').toLowerCase(),
+    actionDomain: url ? url.registrableDomain : null,
+    // An empty or relative action has nowhere to go from an email, 'none'.
+    actionTarget,
+    passwordFields: 0,
+    emailFields: 0,
+    cardFields: 0,
+    credentialForm: false
+  };
+}
+
+// Which kind of credential a field asks for, from its type, autocomplete hint, name, id and placeholder.
+function classifyField(name, attributes) {
+  const type = (attributes.type || (name === 'input' ? 'text' : name)).toLowerCase();
+  if (['hidden', 'submit', 'button', 'reset', 'image', 'checkbox', 'radio'].includes(type)) return null;
+  const autocomplete = (attributes.autocomplete || '').toLowerCase();
+  const hints = [attributes.name, attributes.id, attributes.placeholder, attributes['aria-label']].filter(Boolean).join(' ');
+
+  if (type === 'password' || /(?:current|new)-password/.test(autocomplete)) return 'passwordFields';
+  if (/^cc-(?:number|csc|exp)/.test(autocomplete) || CARD_FIELD.test(hints)) return 'cardFields';
+  if (type === 'email' || /^(?:email|username)$/.test(autocomplete) || EMAIL_FIELD.test(hints)) return 'emailFields';
+  return null;
+}
+
+// <meta http-equiv="refresh" content="0; url=https://example.com/">
+function parseRefresh(content, senderDomain) {
+  const match = /^\s*(\d+(?:\.\d+)?)?\s*[;,]?\s*(?:url\s*=\s*)?['"]?([^'"]*)['"]?\s*$/i.exec(content);
+  const delay = match && match[1] ? Number(match[1]) : 0;
+  const url = match && match[2] ? parseUrl(match[2], { senderDomain }) : null;
+  return {
+    delay,
+    url: url ? url.url : null,
+    domain: url ? url.registrableDomain : null
+  };
+}
+
+export {
+  analyzeForms
+};
@@ -1,12 +1,26 @@
-import { Base64 } from 'js-base64';
+import { addHeader } from './headers.js';
+import { parseHeaderParams, decodeBase64, decodeTransferEncoding, decodeCharset } from './encoding.js';
+
+// Largest attachment kept with keepAttachmentData unless maxAttachmentSize says otherwise.
+const DEFAULT_MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
 
 class GmailEmailDecoder {
   /**
    * Decodes a Gmail API message into a readable format
    * @param {Object} message - Raw message from Gmail API
-   * @returns {Object} Decoded email with headers, body, and attachments
+   * @param {Object} [options] - Decoding options
+   * @param {boolean|Function} [options.rewriteCidUrls] - Rewrite cid: URLs in the HTML body. Pass true
+   *   to inline parts with kept data as data: URLs, or a function that receives the inline part
+   *   and returns a replacement URL (or nothing to leave the reference as is).
+   * @param {boolean} [options.keepAttachmentData] - Keep attachment content as base64url in attachment.data and
+   *   inlineParts[cid].data when the message carries it, e.g. after merging users.messages.attachments.get
+   *   into the part body.
+   * @param {number} [options.maxAttachmentSize] - Largest attachment in bytes kept, 10 MB by default.
+   * @param {boolean} [options.transferEncoded] - Part bodies still carry their Content-Transfer-Encoding.
+   *   Bodies of format=full messages are already decoded, so they are only decoded again with this set.
+   * @returns {Object} Decoded email with headers, body, attachments, inline parts and decode warnings
    */
-  static decodeEmail(message) {
+  static decodeEmail(message, options = {}) {
     try {
       const decodedEmail = {
         id: message.id,
@@ -20,14 +34,17 @@ class GmailEmailDecoder {
           plain: '',
           html: ''
         },
-        attachments: []
+        attachments: [],
+        inlineParts: {},
+        decodeWarnings: []
       };
 
       // Process headers
       if (message.payload.headers) {
         message.payload.headers.forEach(header => {
           const headerName = header.name.toLowerCase();
-          decodedEmail.headers[headerName] = header.value;
+          // Repeated headers such as Received are kept as arrays of values
+          addHeader(decodedEmail.headers, headerName, header.value);
           
           // Explicitly parse sender and subject
           if (headerName === 'from') {
@@ -40,10 +57,14 @@ class GmailEmailDecoder {
 
       // Process parts recursively
       if (message.payload.parts) {
-        this.decodeParts(message.payload.parts, decodedEmail);
+        this.decodeParts(message.payload.parts, decodedEmail, options);
       } else {
         // Handle messages with no parts (plain messages)
-        this.decodeBody(message.payload, decodedEmail);
+        this.decodeBody(message.payload, decodedEmail, options);
+      }
+
+      if (options.rewriteCidUrls && decodedEmail.body.html) {
+        decodedEmail.body.html = this.rewriteCidUrls(decodedEmail, options.rewriteCidUrls);
       }
 
       return decodedEmail;
@@ -56,15 +77,16 @@ class GmailEmailDecoder {
    * Recursively processes message parts
    * @param {Array} parts - Message parts from Gmail API
    * @param {Object} decodedEmail - Object to store decoded email data
+   * @param {Object} [options] - Decoding options, see decodeEmail
    */
-  static decodeParts(parts, decodedEmail) {
+  static decodeParts(parts, decodedEmail, options = {}) {
     parts.forEach(part => {
       if (part.parts) {
         // Recursive call for nested parts
-        this.decodeParts(part.parts, decodedEmail);
+        this.decodeParts(part.parts, decodedEmail, options);
       } else {
         // Process individual part
-        this.decodeBody(part, decodedEmail);
+        this.decodeBody(part, decodedEmail, options);
       }
     });
   }
@@ -73,34 +95,144 @@ class GmailEmailDecoder {
    * Decodes message body based on MIME type
    * @param {Object} part - Message part to decode
    * @param {Object} decodedEmail - Object to store decoded email data
+   * @param {Object} [options] - Decoding options, see decodeEmail
    */
-  static decodeBody(part, decodedEmail) {
+  static decodeBody(part, decodedEmail, options = {}) {
     const mimeType = part.mimeType;
     const body = part.body;
 
     if (!body) return;
 
-    if (body.attachmentId) {
+    const headers = this.getPartHeaders(part);
+    const contentId = (headers['content-id'] || '').trim().replace(/^<|>$/g, '');
+    const disposition = parseHeaderParams(headers['content-disposition']).value ||
+      (contentId ? 'inline' : 'attachment');
+
+    const data = body.data && this.keepsAttachmentData(body.size || 0, options) ? body.data : undefined;
+    if (contentId && disposition === 'inline' && (body.attachmentId || body.data)) {
+      // Inline parts of multipart/related messages, referenced from the HTML as cid:<contentId>
+      decodedEmail.inlineParts[contentId] = {
+        contentId,
+        attachmentId: body.attachmentId,
+        filename: part.filename,
+        mimeType: mimeType,
+        size: body.size,
+        data
+      };
+    }
+
+    // Small parts come with their data instead of an attachmentId; anything but body text is still an attachment.
+    const isBody = (mimeType === 'text/plain' || mimeType === 'text/html') && !part.filename &&
+      parseHeaderParams(headers['content-disposition']).value !== 'attachment';
+    if (body.attachmentId || (body.data && mimeType && !isBody)) {
       // Handle attachment
-      decodedEmail.attachments.push({
-        id: body.attachmentId,
+      const attachment = {
+        id: body.attachmentId || '',
         filename: part.filename,
         mimeType: mimeType,
-        size: body.size
-      });
+        size: body.size,
+        disposition
+      };
+      if (data) attachment.data = data;
+      decodedEmail.attachments.push(attachment);
     } else if (body.data) {
       // Decode message content
-      const content = Base64.decode(body.data.replace(/-/g, '+').replace(/_/g, '/'));
       switch (mimeType) {
         case 'text/plain':
-          decodedEmail.body.plain += content;
+          decodedEmail.body.plain += this.decodeText(part, decodedEmail, options);
           break;
         case 'text/html':
-          decodedEmail.body.html += content;
+          decodedEmail.body.html += this.decodeText(part, decodedEmail, options);
           break;
       }
     }
   }
+
+  /**
+   * Checks whether attachment content should be kept on the processed email
+   * @param {number} size - Attachment size in bytes
+   * @param {Object} [options] - Options with keepAttachmentData and maxAttachmentSize, see decodeEmail
+   * @returns {boolean} True when keepAttachmentData is set and the attachment is within the size cap
+   */
+  static keepsAttachmentData(size, options = {}) {
+    return Boolean(options.keepAttachmentData) && size <= (options.maxAttachmentSize ?? DEFAULT_MAX_ATTACHMENT_SIZE);
+  }
+
+  /**
+   * Rewrites cid: references in the HTML body using the collected inline parts
+   * @param {Object} decodedEmail - Decoded email with body.html and inlineParts
+   * @param {boolean|Function} resolver - true for data: URLs, or a function mapping an inline part to a URL
+   * @returns {string} The rewritten HTML
+   */
+  static rewriteCidUrls(decodedEmail, resolver) {
+    const resolve = typeof resolver === 'function' ? resolver : inlinePart => {
+      if (!inlinePart.data) return undefined;
+      const data = inlinePart.data.replace(/-/g, '+').replace(/_/g, '/');
+      return `data:${inlinePart.mimeType};base64,${data}`;
+    };
+
+    return decodedEmail.body.html.replace(/\bcid:([^"'\s)>]+)/gi, (match, reference) => {
+      let contentId = reference;
+      try {
+        contentId = decodeURIComponent(reference);
+      } catch (error) {
+        // Keep malformed escapes as they are.
+      }
+      const inlinePart = decodedEmail.inlineParts[contentId];
+      const url = inlinePart ? resolve(inlinePart) : undefined;
+      return url || match;
+    });
+  }
+
+  /**
+   * Collects a part's headers with lower-cased names
+   * @param {Object} part - Message part from Gmail API
+   * @returns {Object} Header values keyed by lower-cased name
+   */
+  static getPartHeaders(part) {
+    const headers = {};
+    (part.headers || []).forEach(header => {
+      headers[header.name.toLowerCase()] = header.value;
+    });
+    return headers;
+  }
+
+  /**
+   * Decodes a text part using its Content-Transfer-Encoding and Content-Type charset.
+   * Parts that cannot be decoded as declared are decoded with a best guess and
+   * recorded in decodedEmail.decodeWarnings.
+   * @param {Object} part - Message part with body data
+   * @param {Object} decodedEmail - Object to store decoded email data
+   * @param {Object} [options] - Decoding options, see decodeEmail
+   * @returns {string} Decoded text content
+   */
+  static decodeText(part, decodedEmail, options = {}) {
+    const headers = this.getPartHeaders(part);
+    const { params } = parseHeaderParams(headers['content-type'] || part.mimeType);
+    const transferEncoding = headers['content-transfer-encoding'];
+    const warnings = [];
+
+    let bytes = decodeBase64(part.body.data);
+    if (options.transferEncoded) {
+      const decoded = decodeTransferEncoding(bytes, transferEncoding);
+      bytes = decoded.bytes;
+      if (decoded.warning) warnings.push(decoded.warning);
+    }
+
+    const { text, charset, warning } = decodeCharset(bytes, params.charset);
+    if (warning) warnings.push(warning);
+
+    warnings.forEach(message => {
+      decodedEmail.decodeWarnings.push({
+        partId: part.partId,
+        mimeType: part.mimeType,
+        charset,
+        message
+      });
+    });
+
+    return text;
+  }
 }
 
 export {
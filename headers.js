@@ -0,0 +1,170 @@
+/**
+ * Ordered list of message headers that keeps repeated headers and looks names up
+ * case-insensitively. Every preprocessor exposes one as email.headerList next to the
+ * flat email.headers object.
+ */
+class HeaderList {
+  /**
+   * @param {Object[]} [entries] - Headers in message order as { name, value }
+   */
+  constructor(entries = []) {
+    this.entries = [];
+    entries.forEach(entry => this.add(entry.name, entry.value));
+  }
+
+  /**
+   * Builds a list from a flat headers object. Repeated headers stored as arrays keep their
+   * order, but the order between different names is the object's key order.
+   * @param {Object} headers - Flat headers, values as strings or arrays of strings
+   * @returns {HeaderList} The header list
+   */
+  static fromObject(headers) {
+    if (headers instanceof HeaderList) return headers;
+    const list = new HeaderList();
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      if (value === undefined || value === null) return;
+      (Array.isArray(value) ? value : [value]).forEach(v => list.add(name, v));
+    });
+    return list;
+  }
+
+  /**
+   * @param {string} name - Header name as it appears in the message
+   * @param {string} value - Header value
+   */
+  add(name, value) {
+    this.entries.push({ name, value: String(value) });
+  }
+
+  /**
+   * @param {string} name - Header name, any case
+   * @returns {string|undefined} The first value of the header
+   */
+  get(name) {
+    const lowerName = name.toLowerCase();
+    const entry = this.entries.find(e => e.name.toLowerCase() === lowerName);
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * @param {string} name - Header name, any case
+   * @returns {string[]} Every value of the header, in message order
+   */
+  getAll(name) {
+    const lowerName = name.toLowerCase();
+    return this.entries.filter(e => e.name.toLowerCase() === lowerName).map(e => e.value);
+  }
+
+  /**
+   * @param {string} name - Header name, any case
+   * @returns {boolean} True if the header is present
+   */
+  has(name) {
+    return this.get(name) !== undefined;
+  }
+
+  /**
+   * @returns {Object} Flat view with lower-cased names and arrays for repeated headers
+   */
+  toObject() {
+    const headers = {};
+    this.entries.forEach(entry => addHeader(headers, entry.name.toLowerCase(), entry.value));
+    return headers;
+  }
+
+  get length() {
+    return this.entries.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries[Symbol.iterator]();
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+/**
+ * Returns every value of a header from a processed email's headers. Header names are
+ * matched case-insensitively, and repeated headers stored as arrays are flattened.
+ * @param {HeaderList|Object} headers - A HeaderList or flat headers as returned by a preprocessor
+ * @param {string} name - Header name
+ * @returns {string[]} Values in message order
+ */
+function getHeaderValues(headers, name) {
+  if (headers instanceof HeaderList) return headers.getAll(name);
+  const lowerName = name.toLowerCase();
+  const values = [];
+  Object.entries(headers || {}).forEach(([key, value]) => {
+    if (key.toLowerCase() !== lowerName || value === undefined || value === null) return;
+    values.push(...(Array.isArray(value) ? value : [value]));
+  });
+  return values.map(String);
+}
+
+/**
+ * Returns the first value of a header, see getHeaderValues
+ * @param {HeaderList|Object} headers - A HeaderList or flat headers as returned by a preprocessor
+ * @param {string} name - Header name
+ * @returns {string|undefined} The first value, if the header is present
+ */
+function getHeaderValue(headers, name) {
+  return getHeaderValues(headers, name)[0];
+}
+
+/**
+ * Adds a header to a flat headers object, keeping repeated headers as arrays of values
+ * @param {Object} headers - Flat headers being built
+ * @param {string} name - Header name as it should be stored
+ * @param {string} value - Header value
+ */
+function addHeader(headers, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(headers, name)) {
+    headers[name] = value;
+  } else if (Array.isArray(headers[name])) {
+    headers[name].push(value);
+  } else {
+    headers[name] = [headers[name], value];
+  }
+}
+
+/**
+ * Separates RFC 5322 comments, "(...)", from the rest of a structured header value
+ * @param {string} value - Header value
+ * @returns {{text: string, comments: string[]}} The value without comments and the comments in order
+ */
+function stripComments(value) {
+  const comments = [];
+  let text = '';
+  let depth = 0;
+  let comment = '';
+  let quoted = false;
+  for (const char of value) {
+    if (char === '"' && depth === 0) quoted = !quoted;
+    if (!quoted && char === '(') {
+      if (depth++ === 0) continue;
+    } else if (!quoted && char === ')' && depth > 0) {
+      if (--depth === 0) {
+        comments.push(comment.trim());
+        comment = '';
+        text += ' ';
+        continue;
+      }
+    }
+    if (depth > 0) {
+      comment += char;
+    } else {
+      text += char;
+    }
+  }
+  return { text: text.trim(), comments };
+}
+
+export {
+  HeaderList,
+  getHeaderValues,
+  getHeaderValue,
+  addHeader,
+  stripComments
+};
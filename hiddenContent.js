@@ -0,0 +1,187 @@
+import * as htmlparser2 from 'htmlparser2';
+
+// Elements whose content is never rendered as text.
+const NON_TEXT_ELEMENTS = new Set(['head', 'title', 'style', 'script', 'template', 'noscript']);
+
+const ZERO_WIDTH_CHARACTERS = /[\u200b-\u200d\u2060\u180e\ufeff\u00ad]/g;
+
+const NAMED_COLORS = {
+  white: [255, 255, 255],
+  black: [0, 0, 0],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  whitesmoke: [245, 245, 245],
+  snow: [255, 250, 250],
+  ivory: [255, 255, 240]
+};
+
+// Mail clients render black text on white unless told otherwise.
+const DEFAULT_BACKGROUND = [255, 255, 255];
+const DEFAULT_COLOR = [0, 0, 0];
+
+/**
+ * Works out which text of an email body a reader actually sees. Text hidden with CSS, matching
+ * colours, off-screen positioning or comments is returned separately from the visible text.
+ * @param {Object} body - The processed email's body, { plain, html }
+ * @returns {Object} { visibleText, hiddenText, hiddenRatio, techniques, zeroWidthCharacters }. hiddenRatio is
+ *   the share of non-whitespace characters that are hidden; techniques lists 'display-none', 'visibility-hidden',
+ *   'opacity', 'zero-font-size', 'color-match', 'transparent', 'off-screen', 'zero-size', 'comment' and 'zero-width'
+ *   as found.
+ */
+function analyzeHiddenContent(body) {
+  const visible = [];
+  const hidden = [];
+  const techniques = [];
+  const addTechnique = technique => {
+    if (!techniques.includes(technique)) techniques.push(technique);
+  };
+  let zeroWidthCharacters = 0;
+  const clean = text => {
+    zeroWidthCharacters += (text.match(ZERO_WIDTH_CHARACTERS) || []).length;
+    return text.replace(ZERO_WIDTH_CHARACTERS, '');
+  };
+
+  if (body?.html) {
+    const stack = [{ name: '#root', technique: null, skip: false, color: DEFAULT_COLOR, background: DEFAULT_BACKGROUND }];
+    const parser = new htmlparser2.Parser({
+      onopentag(name, attributes) {
+        const parent = stack[stack.length - 1];
+        const style = parseStyle(attributes.style);
+        const backgroundColor = parseColor(style['background-color'] || style.background || attributes.bgcolor);
+        // A transparent background shows the one behind it.
+        const background = backgroundColor && backgroundColor !== 'transparent' ? backgroundColor : parent.background;
+        const color = parseColor(style.color || (name === 'font' ? attributes.color : null)) || parent.color;
+        stack.push({
+          name,
+          technique: parent.technique || getHidingTechnique(attributes, style),
+          skip: parent.skip || NON_TEXT_ELEMENTS.has(name),
+          color,
+          background
+        });
+      },
+      ontext(text) {
+        const element = stack[stack.length - 1];
+        if (element.skip) return;
+        const cleaned = clean(text);
+        if (!cleaned.trim()) return;
+        let technique = element.technique;
+        if (!technique && element.color === 'transparent') technique = 'transparent';
+        if (!technique && isSameColor(element.color, element.background)) technique = 'color-match';
+        if (technique) {
+          addTechnique(technique);
+          hidden.push(cleaned);
+        } else {
+          visible.push(cleaned);
+        }
+      },
+      onclosetag(name) {
+        // htmlparser2 closes implied and unclosed elements itself, but never pop the root.
+        if (stack.length > 1 && stack[stack.length - 1].name === name) stack.pop();
+      },
+      oncomment(comment) {
+        // Outlook conditional comments carry layout markup, not text.
+        if (/^\s*\[(end)?if\b/i.test(comment)) return;
+        const cleaned = clean(comment);
+        if (!cleaned.trim()) return;
+        addTechnique('comment');
+        hidden.push(cleaned);
+      }
+    }, {
+      decodeEntities: true,
+      recognizeSelfClosing: true
+    });
+    parser.write(body.html);
+    parser.end();
+  } else if (body?.plain) {
+    visible.push(clean(body.plain));
+  }
+
+  if (zeroWidthCharacters) addTechnique('zero-width');
+  const visibleText = joinText(visible);
+  const hiddenText = joinText(hidden);
+  const visibleLength = visibleText.replace(/\s/g, '').length;
+  const hiddenLength = hiddenText.replace(/\s/g, '').length;
+
+  return {
+    visibleText,
+    hiddenText,
+    hiddenRatio: visibleLength + hiddenLength ? hiddenLength / (visibleLength + hiddenLength) : 0,
+    techniques,
+    zeroWidthCharacters
+  };
+}
+
+function getHidingTechnique(attributes, style) {
+  if ('hidden' in attributes || style.display === 'none' || style['mso-hide'] === 'all') return 'display-none';
+  if (style.visibility === 'hidden' || style.visibility === 'collapse') return 'visibility-hidden';
+  if (style.opacity !== undefined && parseFloat(style.opacity) === 0) return 'opacity';
+  if (style['font-size'] !== undefined && isTiny(style['font-size'])) return 'zero-font-size';
+  if (/^(absolute|fixed)$/.test(style.position || '') &&
+    ['left', 'top', 'right'].some(side => parseFloat(style[side]) <= -500)) return 'off-screen';
+  if (parseFloat(style['text-indent']) <= -500) return 'off-screen';
+  // Collapsed boxes only hide their content when the overflow is clipped.
+  const clipped = /hidden|clip/.test(style.overflow || '');
+  if (clipped && ['width', 'height', 'max-width', 'max-height'].some(p => style[p] !== undefined && parseFloat(style[p]) === 0)) {
+    return 'zero-size';
+  }
+  return null;
+}
+
+// font-size: 0, 1px or 0.5pt cannot be read.
+function isTiny(size) {
+  const value = parseFloat(size);
+  return !isNaN(value) && (value === 0 || (/px|pt/.test(size) && value <= 1));
+}
+
+/**
+ * Parses an inline style attribute into lower-cased declarations, !important dropped
+ * @param {string} style - Value of a style attribute
+ * @returns {Object} Declaration values keyed by property name
+ */
+function parseStyle(style) {
+  const declarations = {};
+  (style || '').split(';').forEach(declaration => {
+    const index = declaration.indexOf(':');
+    if (index === -1) return;
+    const property = declaration.slice(0, index).trim().toLowerCase();
+    declarations[property] = declaration.slice(index + 1).replace(/!important/i, '').trim().toLowerCase();
+  });
+  return declarations;
+}
+
+// [r, g, b], 'transparent' for fully transparent colours, or null when there is no colour.
+function parseColor(value) {
+  const color = (value || '').trim().toLowerCase();
+  if (!color) return null;
+  if (/(^|\s)transparent(\s|$)/.test(color)) return 'transparent';
+  const hex = /#([0-9a-f]{3}|[0-9a-f]{6})\b/.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(d => d + d) : hex[1].match(/../g);
+    return digits.map(d => parseInt(d, 16));
+  }
+  const rgb = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)(?:\s*,\s*([\d.]+))?/.exec(color);
+  if (rgb) {
+    if (rgb[4] !== undefined && parseFloat(rgb[4]) === 0) return 'transparent';
+    return [rgb[1], rgb[2], rgb[3]].map(Number);
+  }
+  const name = color.split(/\s+/).find(word => NAMED_COLORS[word]);
+  return name ? NAMED_COLORS[name] : null;
+}
+
+// Near enough that nobody can read it, e.g. #fefefe on white.
+function isSameColor(a, b) {
+  return a.every((channel, i) => Math.abs(channel - b[i]) <= 8);
+}
+
+function joinText(parts) {
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+export {
+  analyzeHiddenContent,
+  parseStyle
+};
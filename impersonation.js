@@ -0,0 +1,97 @@
+import { getRegistrableDomain, isFreemail, isSameOrganization } from './domains.js';
+import { getSkeleton } from './lookalikes.js';
+
+const EMBEDDED_ADDRESS = /[^\s<>()"',;:]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+/i;
+
+/**
+ * Checks whether the display name of a sender claims an identity the address does not back up:
+ * an email address in the name that is not the real one, a VIP's name from an outside domain,
+ * or a brand name from a freemail domain
+ * @param {Object} from - The parsed From address, see createAddress
+ * @param {Object} [options] - Analysis options
+ * @param {Array<string|Object>} [options.vips] - Executives and other people worth impersonating, as names or
+ *   { name, addresses } with the addresses they really send from
+ * @param {string[]} [options.internalDomains] - Our own domains; VIP names from other domains are flagged
+ * @param {string[]} [options.brands] - Brand names, e.g. 'PayPal', flagged when sent from freemail domains
+ * @returns {Object} { name, address, domain, freemail, embeddedAddress, embeddedAddressMismatch, vip,
+ *   vipOutsideDomain, brand, brandFromFreemail, impersonation }
+ */
+function analyzeDisplayName(from, options = {}) {
+  const name = from.name || '';
+  const address = from.address.toLowerCase();
+  const freemail = isFreemail(from.domain);
+
+  const embedded = EMBEDDED_ADDRESS.exec(name);
+  const embeddedAddress = embedded ? embedded[0].toLowerCase() : null;
+
+  const vip = (options.vips || [])
+    .map(v => (typeof v === 'string' ? { name: v, addresses: [] } : { addresses: [], ...v }))
+    .find(v => matchesName(name, v.name));
+  const knownAddress = Boolean(vip) && vip.addresses.some(a => a.toLowerCase() === address);
+  const internal = (options.internalDomains || []).some(domain => isSameOrganization(from.domain, domain));
+
+  const nameWords = tokenize(getSkeleton(name));
+  const brand = (options.brands || []).find(b => matchesBrand(nameWords, b)) || null;
+
+  const result = {
+    name,
+    address,
+    domain: from.domain,
+    freemail,
+    embeddedAddress,
+    embeddedAddressMismatch: Boolean(embeddedAddress) && embeddedAddress !== address,
+    vip: vip ? vip.name : null,
+    vipOutsideDomain: Boolean(vip) && !knownAddress && !internal,
+    brand,
+    brandFromFreemail: Boolean(brand) && freemail
+  };
+  result.impersonation = result.embeddedAddressMismatch || result.vipOutsideDomain || result.brandFromFreemail;
+  return result;
+}
+
+/**
+ * Lists the brand names implied by protected domains, e.g. 'paypal' for 'paypal.com'
+ * @param {string[]} domains - Protected domains
+ * @returns {string[]} The brand labels
+ */
+function getBrandNames(domains) {
+  return (domains || []).map(domain => getRegistrableDomain(domain).split('.')[0]).filter(Boolean);
+}
+
+// Every word of the VIP's name appears in the display name: "John Smith" matches
+// "Smith, John" and "John Smith (CEO)".
+function matchesName(displayName, vipName) {
+  const words = new Set(tokenize(displayName));
+  const vipWords = tokenize(vipName);
+  return vipWords.length > 0 && vipWords.every(word => words.has(word));
+}
+
+function tokenize(name) {
+  return (name || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// The brand as whole words of the display name, or spelled across them: "PayPal Support" and
+// "Pay Pal" match paypal but "Corporate Travel" doesn't match corp.
+function matchesBrand(nameWords, brand) {
+  const target = compact(brand);
+  if (target.length < 3) return false;
+  return nameWords.some((_, start) => {
+    let joined = '';
+    for (let i = start; i < nameWords.length && joined.length < target.length; i++) {
+      joined += nameWords[i];
+      if (joined === target) return true;
+    }
+    return false;
+  });
+}
+
+// Letters and digits only, with look-alike characters folded: "PayPa1 Support" -> "paypalsupport".
+function compact(name) {
+  return getSkeleton(name).replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+export {
+  analyzeDisplayName,
+  getBrandNames
+};
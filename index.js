@@ -1,9 +1,25 @@
 import { FeatureExtractor } from './featureExtraction.js';
-import { EMLPreprocessor, GmailPreprocessor, OutlookPreprocessor } from './preprocessor.js';
+import { EMLPreprocessor, GmailPreprocessor, OutlookPreprocessor, RawMimePreprocessor } from './preprocessor.js';
+import { MailboxReader } from './mailbox.js';
+import { redact } from './redaction.js';
+import { ModelManager, ModelFilesMissingError, models } from './models.js';
+import { classify } from './classifier.js';
+import { embed, cosineSimilarity } from './embeddings.js';
+import { RuleEngine } from './rules.js';
 
 export {
   FeatureExtractor,
   GmailPreprocessor,
   EMLPreprocessor,
-  OutlookPreprocessor
+  OutlookPreprocessor,
+  RawMimePreprocessor,
+  MailboxReader,
+  redact,
+  classify,
+  embed,
+  cosineSimilarity,
+  RuleEngine,
+  ModelManager,
+  ModelFilesMissingError,
+  models
 };
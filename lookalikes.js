@@ -0,0 +1,169 @@
+import { createRequire } from 'node:module';
+import { domainToUnicode } from 'node:url';
+import { getPublicSuffix, getRegistrableDomain, isSameOrganization, normalizeHost } from './domains.js';
+
+// Unicode UTS #39 confusables.txt, each confusable character mapped to its prototype: Cyrillic 'а' to
+// 'a', '1' and 'I' to 'l', and 'm' to 'rn', so that 'm' and 'rn' share a skeleton.
+const CONFUSABLES = createRequire(import.meta.url)('unicode-confusables/data/confusables.json');
+
+const SCRIPTS = [
+  'Latin', 'Greek', 'Cyrillic', 'Armenian', 'Hebrew', 'Arabic', 'Devanagari', 'Thai',
+  'Georgian', 'Cherokee', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'
+].map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+// Script mixes allowed by the UTS #39 "highly restrictive" profile.
+const ALLOWED_SCRIPT_SETS = [
+  ['Latin', 'Han', 'Hiragana', 'Katakana'],
+  ['Latin', 'Han', 'Bopomofo'],
+  ['Latin', 'Han', 'Hangul']
+];
+
+const TECHNIQUE_SCORES = {
+  homoglyph: 0.95,
+  'tld-added': 0.9,
+  'mixed-script': 0.85,
+  'tld-swap': 0.8,
+  hyphenation: 0.7,
+  subdomain: 0.6
+};
+
+/**
+ * Computes the UTS #39 style skeleton of a string: confusable characters replaced by their
+ * prototype, then compatibility decomposition, diacritics dropped and lower case. Two strings
+ * with the same skeleton look alike.
+ * @param {string} text - Text, typically a domain label in Unicode form
+ * @returns {string} The skeleton
+ */
+function getSkeleton(text) {
+  // Map before lower-casing so that upper case confusables such as 'I' keep their prototype, and again
+  // after it for the lower case forms of letters that only have upper case entries.
+  const prototypes = mapConfusables((text || '').normalize('NFD'));
+  return mapConfusables(prototypes.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase());
+}
+
+/**
+ * Lists the scripts used in a string, ignoring digits, punctuation and other common characters
+ * @param {string} text - Text, typically a domain label in Unicode form
+ * @returns {string[]} Script names in order of first use, 'Other' for scripts not tracked here
+ */
+function getScripts(text) {
+  const scripts = [];
+  for (const char of text || '') {
+    if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(char)) continue;
+    const script = SCRIPTS.find(s => s.pattern.test(char));
+    const name = script ? script.name : 'Other';
+    if (!scripts.includes(name)) scripts.push(name);
+  }
+  return scripts;
+}
+
+/**
+ * Scores a domain against protected domains for lookalike tricks: confusable characters, mixed
+ * scripts, small edit distances, swapped or added TLDs, inserted hyphens and the brand in a subdomain.
+ * Domains that belong to a protected domain's organization are reported as protected.
+ * @param {string} domain - Host or domain name, ASCII (punycode) or Unicode
+ * @param {string[]} protectedDomains - Our own domains and the brands to protect
+ * @returns {Object} { domain, unicode, idn, scripts, mixedScript, protected, protectedDomain, techniques,
+ *   distance, score }, score from 0 (no resemblance) to 1, for the closest protected domain
+ */
+function scoreDomain(domain, protectedDomains = []) {
+  const host = normalizeHost(domain);
+  const unicode = domainToUnicode(host) || host;
+  const registrable = getRegistrableDomain(host);
+  const unicodeLabel = getBrandLabel(domainToUnicode(registrable) || registrable);
+  const scripts = getScripts(unicodeLabel);
+  const result = {
+    domain: host,
+    unicode,
+    idn: host.split('.').some(label => label.startsWith('xn--')),
+    scripts,
+    mixedScript: scripts.length > 1 && !ALLOWED_SCRIPT_SETS.some(set => scripts.every(s => set.includes(s))),
+    protected: false,
+    protectedDomain: null,
+    techniques: [],
+    distance: null,
+    score: 0
+  };
+  const candidates = protectedDomains.map(normalizeHost).filter(Boolean);
+
+  const own = candidates.find(protectedDomain => isSameOrganization(host, protectedDomain));
+  if (own) return { ...result, protected: true, protectedDomain: own };
+
+  candidates.forEach(protectedDomain => {
+    const match = compareLabels(host, unicodeLabel, protectedDomain, result.mixedScript);
+    if (match.score > result.score) Object.assign(result, match, { protectedDomain });
+  });
+  return result;
+}
+
+function compareLabels(host, label, protectedDomain, mixedScript) {
+  const protectedRegistrable = getRegistrableDomain(protectedDomain);
+  const brand = getBrandLabel(domainToUnicode(protectedRegistrable) || protectedRegistrable);
+  const techniques = [];
+  const distance = editDistance(label, brand);
+
+  if (label !== brand && getSkeleton(label) === getSkeleton(brand)) techniques.push('homoglyph');
+  // Same brand label under another suffix; the same suffix would be the protected domain itself.
+  if (label === brand) techniques.push('tld-swap');
+  if (label !== brand && (label.replace(/-/g, '') === brand || label.split('-').includes(brand))) {
+    techniques.push('hyphenation');
+  }
+  // paypal.com.evil.example, or the brand as a subdomain of an unrelated domain.
+  const subdomains = host.slice(0, -(getRegistrableDomain(host).length + 1)).split('.').filter(Boolean);
+  if (`.${host}.`.includes(`.${protectedRegistrable}.`)) {
+    techniques.push('tld-added');
+  } else if (subdomains.some(s => getSkeleton(domainToUnicode(s) || s) === getSkeleton(brand))) {
+    techniques.push('subdomain');
+  }
+
+  // Typos such as paypa.com or micosoft.com; short brands are too close to ordinary words.
+  const maxDistance = brand.length >= 9 ? 2 : 1;
+  // Mixing scripts is rare in real labels, so one that is still a typo away from the brand once its
+  // confusables are mapped is flagged even without an exact homoglyph match.
+  if (mixedScript && !techniques.includes('homoglyph') &&
+    editDistance(getSkeleton(label), getSkeleton(brand)) <= maxDistance) {
+    techniques.push('mixed-script');
+  }
+
+  let score = Math.max(0, ...techniques.map(technique => TECHNIQUE_SCORES[technique]));
+  if (!techniques.length && brand.length >= 4 && distance > 0 && distance <= maxDistance) {
+    techniques.push('edit-distance');
+    score = 0.8 - 0.2 * (distance - 1);
+  }
+
+  return { techniques, distance, score };
+}
+
+function mapConfusables(text) {
+  return [...text].map(char => CONFUSABLES[char] ?? char).join('');
+}
+
+// The label that carries the brand: "paypal" for paypal.com and paypal.co.uk.
+function getBrandLabel(registrable) {
+  const suffix = getPublicSuffix(registrable);
+  return suffix && registrable !== suffix ? registrable.slice(0, -(suffix.length + 1)) : registrable;
+}
+
+// Optimal string alignment distance: insertions, deletions, substitutions and swaps of neighbours.
+function editDistance(a, b) {
+  const x = [...a];
+  const y = [...b];
+  const d = Array.from({ length: x.length + 1 }, (_, i) => [i, ...Array(y.length).fill(0)]);
+  for (let j = 1; j <= y.length; j++) d[0][j] = j;
+  for (let i = 1; i <= x.length; i++) {
+    for (let j = 1; j <= y.length; j++) {
+      const cost = x[i - 1] === y[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && x[i - 1] === y[j - 2] && x[i - 2] === y[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[x.length][y.length];
+}
+
+export {
+  getSkeleton,
+  getScripts,
+  scoreDomain
+};
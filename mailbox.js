@@ -0,0 +1,145 @@
+import { createReadStream } from 'node:fs';
+import { readdir, readFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { EMLPreprocessor } from './preprocessor.js';
+
+// "From sender asctime-date", e.g. "From 1784@xxx Wed Jan 15 20:53:13 +0000 2025".
+const MBOX_SEPARATOR = /^From \S+ +[A-Z][a-z]{2} [A-Z][a-z]{2} +\d{1,2} /;
+
+class MailboxReader {
+  /**
+   * @param {Object} [options] - Reader options.
+   * @param {Object} [options.preprocessor] - Preprocessor run on each message's EML bytes, EMLPreprocessor by default.
+   *   Messages are passed as Buffers so that 8-bit content reaches its charset decoding intact.
+   */
+  constructor(options = {}) {
+    this.preprocessor = options.preprocessor || new EMLPreprocessor();
+  }
+
+  /**
+   * Reads and processes every message of an mbox file, e.g. a Google Takeout export.
+   * Messages that fail to process are reported and the run continues.
+   * @param {string|Object} source - Path to the mbox file or a readable stream of its bytes.
+   * @returns {AsyncGenerator<Object>} { index, source, envelope, email } per message, or
+   *   { index, source, envelope, error } when the message could not be processed.
+   */
+  async *readMbox(source) {
+    const name = typeof source === 'string' ? source : 'stream';
+    for await (const { index, envelope, eml } of MailboxReader.splitMbox(source)) {
+      yield { index, source: name, envelope, ...await this.processMessage(eml) };
+    }
+  }
+
+  /**
+   * Reads and processes every message of a maildir folder (its new/ and cur/ subfolders).
+   * Messages that fail to process are reported and the run continues.
+   * @param {string} directory - Path to the maildir folder.
+   * @returns {AsyncGenerator<Object>} { index, source, email } per message, or
+   *   { index, source, error } when the message could not be read or processed.
+   */
+  async *readMaildir(directory) {
+    let index = 0;
+    for (const file of await MailboxReader.listMaildir(directory)) {
+      let eml;
+      try {
+        eml = await readFile(file);
+      } catch (error) {
+        yield { index: index++, source: file, error };
+        continue;
+      }
+      yield { index: index++, source: file, ...await this.processMessage(eml) };
+    }
+  }
+
+  async processMessage(eml) {
+    try {
+      return { email: await this.preprocessor.process(eml) };
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  /**
+   * Splits an mbox into messages without loading the whole file. A message starts at a
+   * "From " envelope line at the beginning of the file or after a blank line, and ">From "
+   * lines written to escape body text are unescaped. Unescaped body lines starting with
+   * "From " are kept unless they also look like an envelope line.
+   * @param {string|Object} source - Path to the mbox file or a readable stream of its bytes.
+   * @returns {AsyncGenerator<Object>} { index, envelope, eml } per message, where envelope is the "From " line
+   *   and eml a Buffer of the message.
+   */
+  static async *splitMbox(source) {
+    // Messages may be in any charset, so split on bytes: latin1 maps each byte to one character.
+    const input = typeof source === 'string' ? createReadStream(source) : source;
+    input.setEncoding('latin1');
+    const lines = createInterface({ input, crlfDelay: Infinity });
+    let index = 0;
+    let envelope = null;
+    let message = [];
+    let previousBlank = true;
+
+    for await (const line of lines) {
+      if (previousBlank && MBOX_SEPARATOR.test(line)) {
+        if (envelope !== null || message.length) {
+          yield { index: index++, envelope, eml: MailboxReader.joinMessage(message) };
+        }
+        envelope = Buffer.from(line.slice(5), 'latin1').toString('utf8');
+        message = [];
+        previousBlank = false;
+        continue;
+      }
+      // mboxrd escapes every ">*From " body line with one more '>'.
+      message.push(/^>+From /.test(line) ? line.slice(1) : line);
+      previousBlank = line === '';
+    }
+
+    if (envelope !== null || message.some(line => line !== '')) {
+      yield { index, envelope, eml: MailboxReader.joinMessage(message) };
+    }
+  }
+
+  static joinMessage(lines) {
+    // The blank line before the next "From " line belongs to the separator.
+    const end = lines.length && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+    return Buffer.from(lines.slice(0, end).join('\n'), 'latin1');
+  }
+
+  /**
+   * Lists the message files of a maildir folder, new/ first, each sorted by name.
+   * Falls back to the folder's own files when it has neither subfolder.
+   * @param {string} directory - Path to the maildir folder.
+   * @returns {Promise<string[]>} Message file paths.
+   */
+  static async listMaildir(directory) {
+    const files = [];
+    let found = false;
+    for (const folder of ['new', 'cur']) {
+      const entries = await MailboxReader.listFiles(path.join(directory, folder));
+      if (entries) {
+        found = true;
+        files.push(...entries);
+      }
+    }
+    return found ? files : (await MailboxReader.listFiles(directory)) || [];
+  }
+
+  static async listFiles(directory) {
+    try {
+      const entries = await readdir(directory, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort()
+        .map(name => path.join(directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+export {
+  MailboxReader
+};
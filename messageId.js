@@ -0,0 +1,57 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Extracts the ids from a Message-ID, In-Reply-To or References header value
+ * @param {string|string[]} value - Header value(s)
+ * @returns {string[]} Ids without angle brackets, in header order
+ */
+function parseMessageIds(value) {
+  const values = Array.isArray(value) ? value : [value || ''];
+  const ids = [];
+  values.forEach(v => {
+    const bracketed = v.match(/<[^<>\s]+>/g);
+    if (bracketed) {
+      bracketed.forEach(id => ids.push(id.slice(1, -1)));
+    } else if (v.trim()) {
+      // Some mailers leave out the angle brackets.
+      ids.push(...v.trim().split(/\s+/));
+    }
+  });
+  return ids;
+}
+
+/**
+ * Derives a stable id for a message: its Message-ID, or a SHA-256 hash of its content when it has none
+ * @param {Object} headers - Message headers, names matched case-insensitively
+ * @param {string|Uint8Array} content - The raw message
+ * @returns {string} Message id
+ */
+function deriveMessageId(headers, content) {
+  const [messageId] = parseMessageIds(getHeader(headers, 'message-id'));
+  if (messageId) return messageId;
+  return createHash('sha256').update(content || '').digest('hex');
+}
+
+/**
+ * Derives a thread id from the reply chain: the first References id (the thread root),
+ * else the In-Reply-To id, else the message's own id
+ * @param {Object} headers - Message headers, names matched case-insensitively
+ * @param {string} messageId - Id of the message itself
+ * @returns {string} Thread id
+ */
+function deriveThreadId(headers, messageId) {
+  const [root] = parseMessageIds(getHeader(headers, 'references'));
+  const [parent] = parseMessageIds(getHeader(headers, 'in-reply-to'));
+  return root || parent || messageId;
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+export {
+  parseMessageIds,
+  deriveMessageId,
+  deriveThreadId
+};
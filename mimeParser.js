@@ -0,0 +1,199 @@
+import { Buffer } from 'node:buffer';
+import { parseHeaderParams, decodeBase64, decodeQuotedPrintable, decodeTransferEncoding, decodeCharset } from './encoding.js';
+
+class MimeParser {
+  /**
+   * Parses an RFC 822 / MIME message into a tree of entities
+   * @param {string|Uint8Array} input - Raw message as a string or bytes
+   * @returns {Object} Root entity with headers, contentType, params, body bytes and child parts
+   */
+  static parse(input) {
+    const buffer = typeof input === 'string' ? Buffer.from(input, 'utf8') : Buffer.from(input);
+    return this.parseEntity(buffer, 'text/plain');
+  }
+
+  /**
+   * Parses a single entity and, for multiparts, its children
+   * @param {Buffer} buffer - Entity bytes, headers included
+   * @param {string} defaultType - Content type to assume when none is declared
+   * @returns {Object} Parsed entity
+   */
+  static parseEntity(buffer, defaultType) {
+    // latin1 maps every byte to one character, so string offsets are byte offsets.
+    const raw = buffer.toString('latin1');
+    const separator = /\r?\n\r?\n/.exec(raw);
+    const startsWithBody = /^\r?\n/.test(raw);
+    let headerEnd = raw.length;
+    let bodyStart = raw.length;
+    if (startsWithBody) {
+      headerEnd = 0;
+      bodyStart = raw.indexOf('\n') + 1;
+    } else if (separator) {
+      headerEnd = separator.index;
+      bodyStart = separator.index + separator[0].length;
+    }
+
+    const headers = this.parseHeaders(buffer.subarray(0, headerEnd));
+    const contentType = parseHeaderParams(this.getHeader(headers, 'content-type') || defaultType);
+    const disposition = parseHeaderParams(this.getHeader(headers, 'content-disposition'));
+    const entity = {
+      headers,
+      contentType: contentType.value || defaultType,
+      params: contentType.params,
+      disposition: disposition.value,
+      filename: this.getParam(disposition.params, 'filename') || this.getParam(contentType.params, 'name'),
+      contentId: (this.getHeader(headers, 'content-id') || '').trim().replace(/^<|>$/g, ''),
+      transferEncoding: (this.getHeader(headers, 'content-transfer-encoding') || '').trim().toLowerCase(),
+      body: buffer.subarray(bodyStart),
+      parts: []
+    };
+
+    if (entity.contentType.startsWith('multipart/') && entity.params.boundary) {
+      const childType = entity.contentType === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+      entity.parts = this.splitMultipart(entity.body, entity.params.boundary)
+        .map(part => this.parseEntity(part, childType));
+    }
+
+    return entity;
+  }
+
+  /**
+   * Splits a multipart body on its boundary delimiters
+   * @param {Buffer} body - Multipart body bytes
+   * @param {string} boundary - Boundary parameter of the Content-Type
+   * @returns {Buffer[]} The body parts, preamble and epilogue excluded
+   */
+  static splitMultipart(body, boundary) {
+    const raw = body.toString('latin1');
+    const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const delimiter = new RegExp(`(^|\\r?\\n)--${escaped}(--)?[ \\t]*(\\r?\\n|$)`, 'g');
+    const parts = [];
+    let start = -1;
+    let match;
+
+    while ((match = delimiter.exec(raw)) !== null) {
+      if (start !== -1) {
+        parts.push(body.subarray(start, match.index));
+      }
+      if (match[2]) {
+        // Closing delimiter, the rest is epilogue.
+        return parts;
+      }
+      start = match.index + match[0].length;
+      // The line ending that ends this delimiter may start the next one, so step back over it.
+      delimiter.lastIndex = start - match[3].length;
+    }
+
+    // Unterminated multipart: keep what follows the last delimiter.
+    if (start !== -1 && start < raw.length) {
+      parts.push(body.subarray(start));
+    }
+    return parts;
+  }
+
+  /**
+   * Unfolds and splits a header block into fields
+   * @param {Buffer} buffer - Header block bytes
+   * @returns {Object[]} Headers in order as { name, value }, values unfolded and decoded
+   */
+  static parseHeaders(buffer) {
+    // Headers are ASCII, but RFC 6532 allows UTF-8 and older mailers send raw 8-bit text.
+    const { text } = decodeCharset(buffer);
+    const headers = [];
+
+    text.split(/\r?\n(?![ \t])/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index <= 0) return;
+      const name = line.slice(0, index).trim();
+      const value = line.slice(index + 1).replace(/\r?\n[ \t]/g, ' ').trim();
+      // Skip mbox "From " separators and other lines that are not header fields.
+      if (/\s/.test(name)) return;
+      headers.push({ name, value: this.decodeEncodedWords(value) });
+    });
+
+    return headers;
+  }
+
+  /**
+   * Decodes RFC 2047 encoded words such as =?UTF-8?B?SGVsbG8=?=
+   * @param {string} value - Header value
+   * @returns {string} Decoded value
+   */
+  static decodeEncodedWords(value) {
+    return value
+      // Whitespace between adjacent encoded words is not displayed.
+      .replace(/(=\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)\s+(?==\?[^?\s]+\?[bBqQ]\?[^?\s]*\?=)/g, '$1')
+      .replace(/=\?([^?\s]+)\?([bBqQ])\?([^?\s]*)\?=/g, (match, charset, encoding, text) => {
+        try {
+          const bytes = encoding.toUpperCase() === 'B'
+            ? decodeBase64(text)
+            : decodeQuotedPrintable(Buffer.from(text.replace(/_/g, ' '), 'latin1'));
+          // RFC 2231 allows a language suffix, e.g. utf-8*en.
+          return decodeCharset(bytes, charset.split('*')[0]).text;
+        } catch (error) {
+          return match;
+        }
+      });
+  }
+
+  /**
+   * Reads a parameter, including RFC 2231 encoded and continued forms (name*=, name*0*=)
+   * @param {Object} params - Parameters from parseHeaderParams
+   * @param {string} name - Parameter name
+   * @returns {string} Decoded value, or an empty string if missing
+   */
+  static getParam(params, name) {
+    if (params[`${name}*`] !== undefined) {
+      return this.decodeExtendedParam(params[`${name}*`]);
+    }
+
+    const sections = [];
+    for (let i = 0; params[`${name}*${i}`] !== undefined || params[`${name}*${i}*`] !== undefined; i++) {
+      const encoded = params[`${name}*${i}*`] !== undefined;
+      sections.push({ value: encoded ? params[`${name}*${i}*`] : params[`${name}*${i}`], encoded });
+    }
+    if (sections.length) {
+      // Only the first section carries the charset'language' prefix.
+      const charset = sections[0].encoded ? sections[0].value.split("'")[0] : '';
+      if (sections[0].encoded) sections[0].value = sections[0].value.split("'").slice(2).join("'");
+      const bytes = [];
+      sections.forEach(section => {
+        const text = section.encoded ? section.value.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))) : section.value;
+        bytes.push(...Buffer.from(text, 'latin1'));
+      });
+      return decodeCharset(new Uint8Array(bytes), charset).text;
+    }
+
+    return params[name] ? this.decodeEncodedWords(params[name]) : '';
+  }
+
+  static decodeExtendedParam(value) {
+    const [charset, , ...rest] = value.split("'");
+    if (!rest.length) return value;
+    const text = rest.join("'").replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return decodeCharset(Buffer.from(text, 'latin1'), charset).text;
+  }
+
+  /**
+   * @param {Object[]} headers - Headers as { name, value }
+   * @param {string} name - Header name, matched case-insensitively
+   * @returns {string|undefined} The first value of the header
+   */
+  static getHeader(headers, name) {
+    const header = headers.find(h => h.name.toLowerCase() === name);
+    return header ? header.value : undefined;
+  }
+
+  /**
+   * Removes the transfer encoding of a leaf entity
+   * @param {Object} entity - Parsed entity
+   * @returns {{bytes: Uint8Array, warning: string|null}} Decoded content bytes
+   */
+  static decodeContent(entity) {
+    return decodeTransferEncoding(new Uint8Array(entity.body), entity.transferEncoding);
+  }
+}
+
+export {
+  MimeParser
+};
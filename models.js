@@ -0,0 +1,172 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { pipeline, AutoTokenizer, env } from '@xenova/transformers';
+
+const TOKENIZER_FILES = ['tokenizer.json', 'tokenizer_config.json'];
+
+/**
+ * Thrown when a model can't be loaded offline because files are missing from the model directory
+ */
+class ModelFilesMissingError extends Error {
+  /**
+   * @param {string} model - Model id, e.g. Xenova/bert-base-NER
+   * @param {string} directory - Where the files were looked for
+   * @param {string[]} missing - Missing files, relative to directory
+   */
+  constructor(model, directory, missing) {
+    super(`Model "${model}" is missing ${missing.join(', ')} in ${directory}`);
+    this.name = 'ModelFilesMissingError';
+    this.model = model;
+    this.directory = directory;
+    this.missing = missing;
+  }
+}
+
+/**
+ * Loads @xenova/transformers pipelines and tokenizers once and shares them. Models come from a local
+ * directory laid out like the hub (<localModelPath>/<model id>/config.json, onnx/model_quantized.onnx, ...)
+ * and, unless offline, are downloaded when missing. transformers.js settings are process-wide, so the
+ * manager applies its own before each load.
+ */
+class ModelManager {
+  /**
+   * @param {Object} [options] - Model loading options
+   * @param {string} [options.localModelPath] - Directory of local models. Defaults to transformers.js' own.
+   * @param {string} [options.cacheDir] - Directory downloaded models are cached in
+   * @param {boolean} [options.offline] - Never download; fail with ModelFilesMissingError instead
+   * @param {boolean} [options.quantized] - Load the quantized ONNX weights, true by default
+   * @param {Function} [options.loadPipeline] - Replaces transformers.js' pipeline(task, model, options)
+   * @param {Function} [options.loadTokenizer] - Replaces AutoTokenizer.from_pretrained(model, options)
+   */
+  constructor(options = {}) {
+    this.options = { ...options };
+    this.loaded = new Map();
+  }
+
+  /**
+   * Lists the files a model needs that are neither in the local model directory nor in the cache
+   * @param {string} model - Model id
+   * @param {Object} [options] - { tokenizerOnly, modelFileName }
+   * @returns {string[]} Missing files, relative to the model's directory
+   */
+  getMissingFiles(model, options = {}) {
+    const files = [...TOKENIZER_FILES];
+    if (!options.tokenizerOnly) {
+      files.push('config.json', `onnx/${options.modelFileName || 'model'}${this.options.quantized === false ? '' : '_quantized'}.onnx`);
+    }
+    const directories = [this.getModelDirectory(model), this.options.cacheDir && path.join(this.options.cacheDir, model)]
+      .filter(Boolean);
+    return files.filter(file => !directories.some(directory => existsSync(path.join(directory, file))));
+  }
+
+  getModelDirectory(model) {
+    return path.join(this.options.localModelPath || env.localModelPath, model);
+  }
+
+  /**
+   * Loads a pipeline, or returns the one already loaded for the same task and model
+   * @param {string} task - Pipeline task, e.g. 'token-classification'
+   * @param {string} model - Model id
+   * @param {Object} [options] - { modelFileName }
+   * @returns {Promise<Function>} The pipeline
+   */
+  getPipeline(task, model, options = {}) {
+    return this.load(`pipeline:${task}:${model}`, model, options, pretrained => {
+      const load = this.options.loadPipeline || pipeline;
+      return load(task, model, { ...pretrained, model_file_name: options.modelFileName || null });
+    });
+  }
+
+  /**
+   * Loads a model's tokenizer, or returns the one already loaded
+   * @param {string} model - Model id
+   * @returns {Promise<Object>} The tokenizer
+   */
+  getTokenizer(model) {
+    return this.load(`tokenizer:${model}`, model, { tokenizerOnly: true }, pretrained => {
+      const load = this.options.loadTokenizer || ((id, loadOptions) => AutoTokenizer.from_pretrained(id, loadOptions));
+      return load(model, pretrained);
+    });
+  }
+
+  load(key, model, options, loader) {
+    if (!this.loaded.has(key)) {
+      // Keep the promise so concurrent callers share one load, and forget failures so they can be retried.
+      const loading = Promise.resolve().then(() => {
+        if (this.options.offline) {
+          const missing = this.getMissingFiles(model, options);
+          if (missing.length) throw new ModelFilesMissingError(model, this.getModelDirectory(model), missing);
+        }
+        this.applyEnvironment();
+        return loader({
+          quantized: this.options.quantized !== false,
+          local_files_only: Boolean(this.options.offline),
+          cache_dir: this.options.cacheDir || null
+        });
+      });
+      loading.catch(() => {
+        if (this.loaded.get(key) === loading) this.loaded.delete(key);
+      });
+      this.loaded.set(key, loading);
+    }
+    return this.loaded.get(key);
+  }
+
+  /**
+   * Changes loading options; pipelines already loaded are kept
+   * @param {Object} options - Options as for the constructor
+   * @returns {ModelManager} this
+   */
+  configure(options) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  applyEnvironment() {
+    if (this.options.localModelPath) env.localModelPath = this.options.localModelPath;
+    if (this.options.cacheDir) env.cacheDir = this.options.cacheDir;
+    if (this.options.offline !== undefined) env.allowRemoteModels = !this.options.offline;
+  }
+
+  /**
+   * Loads a pipeline and runs it once, so the first real call doesn't pay for session initialization
+   * @param {string} task - Pipeline task
+   * @param {string} model - Model id
+   * @param {*} [input] - Input of the warm-up run, a short text by default
+   * @returns {Promise<Function>} The pipeline
+   */
+  async warmUp(task, model, input = 'Warm-up') {
+    const loaded = await this.getPipeline(task, model);
+    await loaded(input);
+    return loaded;
+  }
+
+  /**
+   * Disposes of loaded pipelines and frees their ONNX sessions
+   * @param {string} [task] - Only pipelines of this task
+   * @param {string} [model] - Only pipelines of this model
+   * @returns {Promise<void>}
+   */
+  async dispose(task, model) {
+    const keys = [...this.loaded.keys()].filter(key => {
+      const [kind, keyTask, ...rest] = key.split(':');
+      if (kind !== 'pipeline') return !task && !model;
+      return (!task || keyTask === task) && (!model || rest.join(':') === model);
+    });
+    for (const key of keys) {
+      const loading = this.loaded.get(key);
+      this.loaded.delete(key);
+      const loaded = await loading.catch(() => null);
+      if (loaded && typeof loaded.dispose === 'function') await loaded.dispose();
+    }
+  }
+}
+
+// Shared by everything that doesn't bring its own manager.
+const models = new ModelManager();
+
+export {
+  ModelManager,
+  ModelFilesMissingError,
+  models
+};
@@ -1,4 +1,11 @@
 import { GmailEmailDecoder } from './gmailDecoder.js';
+import { MimeParser } from './mimeParser.js';
+import { decodeBase64, decodeCharset } from './encoding.js';
+import { deriveMessageId, deriveThreadId } from './messageId.js';
+import { parseAddressList, createAddress, formatAddress } from './addressParser.js';
+import { HeaderList } from './headers.js';
+import { Buffer } from 'node:buffer';
+import { Base64 } from 'js-base64';
 import { readEml } from 'eml-parse-js';
 
 class Preprocessor {
@@ -13,9 +20,22 @@ class Preprocessor {
    *  threadId: string,
    *  labelIds: string[],
    *  headers: {
-   *    [key: string]: string
+   *    [key: string]: string | string[]
    *  },
+   *  headerList: HeaderList,
    *  sender: string,
+   *  addresses: {
+   *    from: Address[],
+   *    sender: Address[],
+   *    to: Address[],
+   *    cc: Address[],
+   *    bcc: Address[],
+   *    replyTo: Address[]
+   *  },
+   *  to?: string,
+   *  cc?: string,
+   *  bcc?: string,
+   *  replyTo?: string,
    *  subject: string,
    *  body: {
    *    plain: string,
@@ -25,56 +45,222 @@ class Preprocessor {
    *    id: string,
    *    filename: string,
    *    mimeType: string,
-   *    size: number
+   *    size: number,
+   *    disposition?: 'inline' | 'attachment',
+   *    data?: string
+   *  }[],
+   *  inlineParts?: {
+   *    [contentId: string]: {
+   *      contentId: string,
+   *      attachmentId?: string,
+   *      filename: string,
+   *      mimeType: string,
+   *      size: number,
+   *      data?: string
+   *    }
+   *  },
+   *  decodeWarnings?: {
+   *    partId: string,
+   *    mimeType: string,
+   *    charset: string,
+   *    message: string
    *  }[]
    * }
    */
   process(email) {
     throw new Error("Not implemented");
   }
+
+  /**
+   * Parses the address headers of a message into the shared address model.
+   * Address is { name, address, local, domain, domainAscii, domainUnicode, group }, see addressParser.js.
+   * @param {HeaderList|Object} headers - Message headers, names matched case-insensitively.
+   * @returns {Object} Addresses keyed by from, sender, to, cc, bcc and replyTo.
+   */
+  parseAddresses(headers) {
+    const headerList = HeaderList.fromObject(headers);
+    return {
+      from: parseAddressList(headerList.getAll('from')),
+      sender: parseAddressList(headerList.getAll('sender')),
+      to: parseAddressList(headerList.getAll('to')),
+      cc: parseAddressList(headerList.getAll('cc')),
+      bcc: parseAddressList(headerList.getAll('bcc')),
+      replyTo: parseAddressList(headerList.getAll('reply-to'))
+    };
+  }
 }
 
+// Outlook well-known folder names mapped to the matching Gmail system labels.
+const OUTLOOK_FOLDER_LABELS = {
+  'inbox': 'INBOX',
+  'sent items': 'SENT',
+  'drafts': 'DRAFT',
+  'deleted items': 'TRASH',
+  'junk email': 'SPAM'
+};
+
 class OutlookPreprocessor extends Preprocessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Processing options.
+   * @param {boolean} [options.useUniqueBody] - Use uniqueBody (the body without quoted history) when the message has one.
+   * @param {Object} [options.folderNames] - Display names keyed by folder id, e.g. from /me/mailFolders.
+   *   Folders without a name are labelled with their id.
+   * @param {boolean} [options.keepAttachmentData] - Keep file attachment contentBytes as base64url in attachment.data
+   *   and inlineParts[cid].data.
+   * @param {number} [options.maxAttachmentSize] - Largest attachment in bytes kept, 10 MB by default.
+   */
+  constructor(options = {}) {
     super();
+    this.options = options;
   }
 
   /**
-   * @param {Object} email - The email to process.
+   * @param {Object} email - A Microsoft Graph message. Request internetMessageHeaders and uniqueBody
+   *   with $select and attachments with $expand to have them mapped.
    * @returns {Object} The processed email.
    */
   process(email) {
+    const body = this.options.useUniqueBody && email.uniqueBody ? email.uniqueBody : email.body;
+    const { attachments, inlineParts } = this.processAttachments(email.attachments || []);
+    const addresses = {
+      from: this.processRecipients(email.from ? [email.from] : []),
+      sender: this.processRecipients(email.sender ? [email.sender] : []),
+      to: this.processRecipients(email.toRecipients),
+      cc: this.processRecipients(email.ccRecipients),
+      bcc: this.processRecipients(email.bccRecipients),
+      replyTo: this.processRecipients(email.replyTo)
+    };
+    const format = list => list.map(formatAddress).join(', ');
+    const headerList = new HeaderList(email.internetMessageHeaders || []);
+
     const processed = {
       id: email.id,
-      date: email.createdDateTime,
+      date: email.receivedDateTime || email.createdDateTime,
       threadId: email.conversationId,
-      // TODO: Get labelIds.
-      labelIds: [],
-      // TODO: Get headers.
-      headers: {},
+      labelIds: this.processLabels(email),
+      headers: headerList.toObject(),
+      headerList,
       // Match google standard. Note that from is used instead of sender since sender can be a machine.
-      sender: `${email.from?.emailAddress?.name} <${email.from?.emailAddress?.address}>`,
+      sender: format(addresses.from),
+      addresses,
+      to: format(addresses.to),
+      cc: format(addresses.cc),
+      bcc: format(addresses.bcc),
+      replyTo: format(addresses.replyTo),
       subject: email.subject,
-      body: email.body.contentType === 'text' ? {
-        plain: email.body.content,
-      } : {
-        html: email.body.content
+      body: {
+        plain: body.contentType === 'text' ? body.content : '',
+        html: body.contentType === 'html' ? body.content : ''
       },
-      attachments: email.hasAttachments ? ['call listAttachments']: []
+      attachments,
+      inlineParts,
+      decodeWarnings: []
     };
 
     return processed;
   }
+
+  /**
+   * Maps Graph message state onto Gmail style labels.
+   * @param {Object} email - A Microsoft Graph message.
+   * @returns {string[]} Folder, system and category labels.
+   */
+  processLabels(email) {
+    const labelIds = [];
+
+    if (email.parentFolderId) {
+      const folderName = this.options.folderNames?.[email.parentFolderId];
+      labelIds.push(folderName ? OUTLOOK_FOLDER_LABELS[folderName.toLowerCase()] || folderName : email.parentFolderId);
+    }
+    if (email.isRead === false) labelIds.push('UNREAD');
+    if (email.isDraft) labelIds.push('DRAFT');
+    if (email.flag?.flagStatus === 'flagged') labelIds.push('STARRED');
+    if (email.importance === 'high') labelIds.push('IMPORTANT');
+    (email.categories || []).forEach(category => labelIds.push(category));
+
+    return [...new Set(labelIds)];
+  }
+
+  /**
+   * @param {Object[]} [recipients] - Graph recipients of { emailAddress: { name, address } }.
+   * @returns {Object[]} Recipients in the shared address model.
+   */
+  processRecipients(recipients) {
+    return (recipients || [])
+      .map(recipient => recipient.emailAddress)
+      .filter(emailAddress => emailAddress?.address)
+      .map(({ name, address }) => createAddress(name === address ? '' : name, address));
+  }
+
+  /**
+   * @param {Object[]} graphAttachments - Graph attachments from $expand=attachments.
+   * @returns {Object} Attachment metadata and the inline parts keyed by Content-ID.
+   */
+  processAttachments(graphAttachments) {
+    const attachments = [];
+    const inlineParts = {};
+
+    graphAttachments.forEach(att => {
+      const disposition = att.isInline ? 'inline' : 'attachment';
+      const attachment = {
+        id: att.id,
+        filename: att.name || '',
+        mimeType: att.contentType || '',
+        size: att.size || 0,
+        disposition
+      };
+      const data = att.contentBytes && GmailEmailDecoder.keepsAttachmentData(attachment.size, this.options)
+        // Graph sends standard base64, the other preprocessors keep base64url like the Gmail API.
+        ? att.contentBytes.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+        : undefined;
+      if (data) attachment.data = data;
+      attachments.push(attachment);
+
+      const contentId = (att.contentId || '').replace(/^<|>$/g, '');
+      if (att.isInline && contentId) {
+        inlineParts[contentId] = {
+          contentId,
+          attachmentId: att.id,
+          filename: att.name || '',
+          mimeType: att.contentType || '',
+          size: att.size || 0,
+          data
+        };
+      }
+    });
+
+    return { attachments, inlineParts };
+  }
 }
 
 class GmailPreprocessor extends Preprocessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Processing options, passed to GmailEmailDecoder.decodeEmail, or to
+   *   RawMimePreprocessor for format=raw messages.
+   * @param {boolean|Function} [options.rewriteCidUrls] - Rewrite cid: URLs in the HTML body.
+   * @param {boolean} [options.keepAttachmentData] - Keep attachment content as base64url in attachment.data and
+   *   inlineParts[cid].data.
+   * @param {number} [options.maxAttachmentSize] - Largest attachment in bytes kept, 10 MB by default.
+   * @param {boolean} [options.transferEncoded] - format=full part bodies still carry their transfer encoding.
+   */
+  constructor(options = {}) {
     super();
+    this.options = options;
   }
 
+  /**
+   * @param {Object} email - Gmail API response with a format=full or format=raw message in data.
+   * @returns {Object} The processed email.
+   */
   process(email) {
     try {
-      const decodedEmail = GmailEmailDecoder.decodeEmail(email.data);
+      if (email.data.raw) {
+        // format=raw responses carry the whole MIME message instead of a parsed payload.
+        return new RawMimePreprocessor(this.options).process(email.data);
+      }
+      const decodedEmail = GmailEmailDecoder.decodeEmail(email.data, this.options);
+      decodedEmail.headerList = new HeaderList(email.data.payload.headers || []);
+      decodedEmail.addresses = this.parseAddresses(decodedEmail.headers);
       return decodedEmail;
     } catch (error) {
       throw new Error(`Failed to process email: ${error.message}`);
@@ -82,40 +268,191 @@ class GmailPreprocessor extends Preprocessor {
   }
 }
 
+class RawMimePreprocessor extends Preprocessor {
+  /**
+   * @param {Object} [options] - Processing options.
+   * @param {boolean|Function} [options.rewriteCidUrls] - Rewrite cid: URLs in the HTML body, see GmailEmailDecoder.decodeEmail.
+   *   data: URLs need keepAttachmentData.
+   * @param {boolean} [options.keepAttachmentData] - Keep attachment content as base64url in attachment.data and
+   *   inlineParts[cid].data.
+   * @param {number} [options.maxAttachmentSize] - Largest attachment in bytes kept, 10 MB by default.
+   */
+  constructor(options = {}) {
+    super();
+    this.options = options;
+  }
+
+  /**
+   * @param {string|Uint8Array|Object} email - An RFC 822 message as a string or bytes, a Gmail
+   *   format=raw message ({ id, threadId, labelIds, internalDate, raw }) or the API response wrapping one.
+   * @returns {Object} The processed email.
+   */
+  process(email) {
+    try {
+      const message = email?.data?.raw ? email.data : email;
+      const isGmailMessage = typeof message?.raw === 'string';
+      const root = MimeParser.parse(isGmailMessage ? decodeBase64(message.raw) : message);
+
+      const processed = {
+        id: isGmailMessage ? message.id : '',
+        date: this.processDate(isGmailMessage ? message.internalDate : undefined, MimeParser.getHeader(root.headers, 'date')),
+        threadId: isGmailMessage ? message.threadId : '',
+        labelIds: (isGmailMessage && message.labelIds) || [],
+        headers: {},
+        headerList: new HeaderList(root.headers),
+        sender: '',
+        addresses: {},
+        subject: '',
+        body: {
+          plain: '',
+          html: ''
+        },
+        attachments: [],
+        inlineParts: {},
+        decodeWarnings: []
+      };
+
+      processed.headers = processed.headerList.toObject();
+      processed.sender = processed.headerList.get('from') || '';
+      processed.subject = processed.headerList.get('subject') || '';
+
+      processed.addresses = this.parseAddresses(processed.headers);
+
+      if (!isGmailMessage) {
+        // Plain RFC 822 input has no id, derive stable ones like EMLPreprocessor does.
+        processed.id = deriveMessageId(processed.headers, message);
+        processed.threadId = deriveThreadId(processed.headers, processed.id);
+      }
+
+      this.processEntity(root, '', processed);
+
+      if (this.options.rewriteCidUrls && processed.body.html) {
+        processed.body.html = GmailEmailDecoder.rewriteCidUrls(processed, this.options.rewriteCidUrls);
+      }
+
+      return processed;
+    } catch (error) {
+      throw new Error(`Failed to process raw email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Walks the MIME tree, filling the body, attachments and inline parts.
+   * @param {Object} entity - Entity from MimeParser.parse.
+   * @param {string} partId - Gmail style part id, '' for the root and '0.1' for nested parts.
+   * @param {Object} processed - The processed email being built.
+   */
+  processEntity(entity, partId, processed) {
+    if (entity.parts.length) {
+      entity.parts.forEach((part, index) => {
+        this.processEntity(part, partId ? `${partId}.${index}` : `${index}`, processed);
+      });
+      return;
+    }
+
+    const disposition = entity.disposition || (entity.contentId ? 'inline' : 'attachment');
+    const isBody = isBodyEntity(entity);
+    const { bytes, warning } = MimeParser.decodeContent(entity);
+    const warnings = warning ? [warning] : [];
+
+    if (isBody) {
+      const decoded = decodeCharset(bytes, entity.params.charset);
+      if (decoded.warning) warnings.push(decoded.warning);
+      if (entity.contentType === 'text/plain') {
+        processed.body.plain += decoded.text;
+      } else {
+        processed.body.html += decoded.text;
+      }
+      warnings.forEach(message => {
+        processed.decodeWarnings.push({ partId, mimeType: entity.contentType, charset: decoded.charset, message });
+      });
+      return;
+    }
+
+    warnings.forEach(message => {
+      processed.decodeWarnings.push({ partId, mimeType: entity.contentType, charset: null, message });
+    });
+    const attachment = {
+      id: '',
+      filename: entity.filename,
+      mimeType: entity.contentType,
+      size: bytes.length,
+      disposition
+    };
+    const data = GmailEmailDecoder.keepsAttachmentData(bytes.length, this.options)
+      ? Base64.fromUint8Array(bytes, true)
+      : undefined;
+    if (data) attachment.data = data;
+    processed.attachments.push(attachment);
+    if (entity.contentId && disposition === 'inline') {
+      processed.inlineParts[entity.contentId] = {
+        contentId: entity.contentId,
+        filename: entity.filename,
+        mimeType: entity.contentType,
+        size: bytes.length,
+        data
+      };
+    }
+  }
+
+  /**
+   * @param {string} [internalDate] - Gmail internalDate in epoch milliseconds.
+   * @param {string} [dateHeader] - Date header of the message.
+   * @returns {string} ISO date, or an empty string if neither is usable.
+   */
+  processDate(internalDate, dateHeader) {
+    const date = internalDate ? new Date(Number(internalDate)) : new Date(dateHeader);
+    return isNaN(date.getTime()) ? '' : date.toISOString();
+  }
+}
+
 class EMLPreprocessor extends Preprocessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Processing options.
+   * @param {boolean} [options.keepAttachmentData] - Keep attachment content as base64url in attachment.data.
+   * @param {number} [options.maxAttachmentSize] - Largest attachment in bytes kept, 10 MB by default.
+   */
+  constructor(options = {}) {
     super();
+    this.options = options;
   }
 
+  /**
+   * @param {string|Uint8Array} eml - The EML as a string, or its bytes, e.g. from MailboxReader.
+   * @returns {Promise<Object>} The processed email.
+   */
   process(eml) {
+    const isBytes = eml instanceof Uint8Array;
+    // eml-parse-js only reads strings, so 8-bit text in another charset than UTF-8 is decoded from the MIME parts.
+    const decoded = isBytes ? decodeCharset(eml, 'utf-8') : null;
+    const text = isBytes ? decoded.text : eml;
     const promise = new Promise((resolve, reject) => {
       try {
-        readEml(eml, (err, emlJson) => {
+        readEml(text, (err, emlJson) => {
           if (err) {
             reject(new Error(`Failed to process EML: ${err.message}`));
             return;
           }
 
           // Convert EML format to match preprocessor format
+          const id = deriveMessageId(emlJson.headers, eml);
+          const entities = this.parseAttachmentEntities(eml);
           const processed = {
-            id: Date.now().toString(), // Generate a unique ID since EML doesn't have one
+            id, // Message-ID, or a content hash so reprocessing gives the same id
             to: emlJson.to?.email || '',
             date: emlJson.date,
-            threadId: '', // Does not need a threadId
+            threadId: deriveThreadId(emlJson.headers, id),
             labelIds: [], // EML doesn't have labels
             headers: emlJson.headers,
+            headerList: this.parseHeaderList(text),
             sender: emlJson.from?.email || '',
+            addresses: this.parseAddresses(emlJson.headers),
             subject: emlJson.subject || '',
-            body: {
+            body: decoded?.warning ? this.decodeBody(eml) : {
               plain: emlJson.text || '',
               html: emlJson.html || ''
             },
-            attachments: (emlJson.attachments || []).map(att => ({
-              id: att.id || '',
-              filename: att.name || '',
-              mimeType: att.contentType || '',
-              size: att.data64?.length || 0
-            }))
+            attachments: (emlJson.attachments || []).map(att => this.processAttachment(att, this.takeEntity(entities, att)))
           };
 
           resolve(processed);
@@ -126,11 +463,107 @@ class EMLPreprocessor extends Preprocessor {
     });
     return promise.then(result => { return result; });
   }
+
+  /**
+   * @param {Object} att - Attachment from eml-parse-js.
+   * @param {Object} [entity] - The attachment's MIME entity, see parseAttachmentEntities.
+   * @returns {Object} Attachment metadata, with the decoded size.
+   */
+  processAttachment(att, entity) {
+    // eml-parse-js decodes quoted-printable and 8bit content to a string, which loses bytes above 0x7f,
+    // so take the bytes from the MIME entity when there is one.
+    let bytes = new Uint8Array(0);
+    if (entity) {
+      bytes = MimeParser.decodeContent(entity).bytes;
+    } else if (att.data64) {
+      bytes = decodeBase64(att.data64);
+    } else if (typeof att.data === 'string') {
+      bytes = Buffer.from(att.data, 'utf8');
+    }
+    const attachment = {
+      id: att.id || '',
+      filename: att.name || '',
+      mimeType: att.contentType || '',
+      size: bytes.length
+    };
+    if (bytes.length && GmailEmailDecoder.keepsAttachmentData(bytes.length, this.options)) {
+      attachment.data = Base64.fromUint8Array(bytes, true);
+    }
+    return attachment;
+  }
+
+  /**
+   * Lists the leaf MIME entities of an EML that aren't body text, in order.
+   * @param {string|Uint8Array} eml - The EML content.
+   * @returns {Object[]} Entities from MimeParser.parse.
+   */
+  parseAttachmentEntities(eml) {
+    return this.parseLeafEntities(eml).filter(entity => !isBodyEntity(entity));
+  }
+
+  /**
+   * Decodes the body text of EML bytes with each part's transfer encoding and charset.
+   * @param {Uint8Array} eml - The EML bytes.
+   * @returns {Object} { plain, html }
+   */
+  decodeBody(eml) {
+    const body = { plain: '', html: '' };
+    this.parseLeafEntities(eml).filter(isBodyEntity).forEach(entity => {
+      const { text } = decodeCharset(MimeParser.decodeContent(entity).bytes, entity.params.charset);
+      body[entity.contentType === 'text/html' ? 'html' : 'plain'] += text;
+    });
+    return body;
+  }
+
+  parseLeafEntities(eml) {
+    const entities = [];
+    const walk = entity => {
+      if (entity.parts.length) {
+        entity.parts.forEach(walk);
+      } else {
+        entities.push(entity);
+      }
+    };
+    walk(MimeParser.parse(eml instanceof Uint8Array ? eml : String(eml || '')));
+    return entities;
+  }
+
+  /**
+   * Removes and returns the first entity matching an eml-parse-js attachment by filename, Content-ID or type.
+   * @param {Object[]} entities - Entities left to match.
+   * @param {Object} att - Attachment from eml-parse-js.
+   * @returns {Object|undefined} The entity, if any.
+   */
+  takeEntity(entities, att) {
+    const contentId = (att.id || '').replace(/^<|>$/g, '');
+    const mimeType = (att.contentType || '').split(';')[0].trim().toLowerCase();
+    const index = entities.findIndex(entity => (att.name ? entity.filename === att.name :
+      contentId ? entity.contentId === contentId : entity.contentType === mimeType));
+    return index === -1 ? undefined : entities.splice(index, 1)[0];
+  }
+
+  /**
+   * Reads the header block of an EML in order, repeated headers included.
+   * @param {string} eml - The EML content.
+   * @returns {HeaderList} The message headers.
+   */
+  parseHeaderList(eml) {
+    const text = String(eml || '');
+    const headerEnd = text.search(/\r?\n\r?\n/);
+    return new HeaderList(MimeParser.parseHeaders(Buffer.from(headerEnd === -1 ? text : text.slice(0, headerEnd), 'utf8')));
+  }
+}
+
+// Text parts that make up the body rather than being attached.
+function isBodyEntity(entity) {
+  return (entity.contentType === 'text/plain' || entity.contentType === 'text/html') &&
+    entity.disposition !== 'attachment' && !entity.filename;
 }
 
 export {
   Preprocessor,
   GmailPreprocessor,
   EMLPreprocessor,
-  OutlookPreprocessor
+  OutlookPreprocessor,
+  RawMimePreprocessor
 };
@@ -0,0 +1,104 @@
+import { isIP } from 'node:net';
+import { getHeaderValues, stripComments } from './headers.js';
+import { isPrivateIp, normalizeHost } from './domains.js';
+
+/**
+ * Parses a single Received header (RFC 5321 section 4.4)
+ * @param {string} value - Header value, e.g. 'from a.example.com (a.example.com [192.0.2.1]) by mx.example.net
+ *   with ESMTPS id abc for <you@example.net>; Sat, 21 Dec 2024 22:32:59 -0800'
+ * @returns {Object} { from: { host, reverseHost, ip }, by, protocol, id, for, tls, timestamp }
+ */
+function parseReceived(value) {
+  const raw = (value || '').replace(/\s+/g, ' ').trim();
+  const separator = raw.lastIndexOf(';');
+  const clauses = separator === -1 ? raw : raw.slice(0, separator);
+  const dateText = separator === -1 ? '' : stripComments(raw.slice(separator + 1)).text;
+  const { text, comments } = stripComments(clauses);
+
+  // The comment right after the from host holds what the receiver saw: "host [ip]" or "[ip]".
+  const fromMatch = /\bfrom\s+(\S+)\s*(\(((?:[^()]|\([^()]*\))*)\))?/i.exec(clauses);
+  const fromComment = fromMatch && fromMatch[3] ? fromMatch[3] : '';
+  const ipMatch = /\[(?:ipv6:)?([0-9a-f:.]+)\]/i.exec(fromComment) ||
+    /\[(?:ipv6:)?([0-9a-f:.]+)\]/i.exec(fromMatch ? fromMatch[1] : '') ||
+    /\b(\d{1,3}(?:\.\d{1,3}){3})\b/.exec(fromComment);
+  const reverseHost = /^([a-z0-9-]+(?:\.[a-z0-9-]+)+)\.?\s/i.exec(fromComment);
+  const fromHost = fromMatch ? fromMatch[1].replace(/^\[|\]$/g, '') : null;
+  const byMatch = /\bby\s+(\S+)/i.exec(text);
+  const withMatch = /\bwith\s+(\S+)/i.exec(text);
+  const idMatch = /\bid\s+(\S+)/i.exec(text);
+  const forMatch = /\bfor\s+<?([^\s<>;]+)>?/i.exec(text);
+  const protocol = withMatch ? withMatch[1].toUpperCase() : null;
+  const timestamp = new Date(dateText);
+
+  return {
+    from: {
+      host: fromHost ? normalizeHost(fromHost) : null,
+      reverseHost: reverseHost ? normalizeHost(reverseHost[1]) : null,
+      ip: ipMatch && isIP(ipMatch[1]) ? ipMatch[1].toLowerCase() : null
+    },
+    by: byMatch ? normalizeHost(byMatch[1]) : null,
+    protocol,
+    id: idMatch ? idMatch[1] : null,
+    for: forMatch ? forMatch[1] : null,
+    // ESMTPS/ESMTPSA (RFC 3848) or a TLS note such as "(version=TLS1_3 cipher=...)" or "(using TLSv1.2 ...)".
+    tls: /^(E|UTF8)?SMTPS/.test(protocol || '') || /^(E|UTF8)?LMTPS/.test(protocol || '') ||
+      comments.some(comment => /\bversion=TLS|\busing TLS|\bTLS\s?v?1/i.test(comment)),
+    timestamp: dateText && !isNaN(timestamp.getTime()) ? timestamp.toISOString() : null
+  };
+}
+
+/**
+ * Parses the Received chain of an email and derives hop features
+ * @param {HeaderList|Object} headers - The email's HeaderList, or flat headers with repeated Received headers as an array
+ * @returns {Object} Hops from the origin to the final receiver, with delay and network transition features.
+ *   delay is in seconds since the previous hop; firstExternalHop is the earliest hop received from a public IP.
+ */
+function analyzeReceivedChain(headers) {
+  // Each server prepends its Received header, so reverse to get origin first.
+  const hops = getHeaderValues(headers, 'received').reverse().map((value, index) => ({
+    index,
+    ...parseReceived(value),
+    delay: null
+  }));
+
+  let previousTime = null;
+  hops.forEach(hop => {
+    const time = hop.timestamp ? Date.parse(hop.timestamp) : null;
+    if (time !== null && previousTime !== null) {
+      hop.delay = (time - previousTime) / 1000;
+    }
+    if (time !== null) previousTime = time;
+  });
+
+  const timestamps = hops.filter(hop => hop.timestamp).map(hop => Date.parse(hop.timestamp));
+  const delays = hops.filter(hop => hop.delay !== null).map(hop => hop.delay);
+
+  let privateToPublic = 0;
+  let publicToPrivate = 0;
+  let previousNetwork = null;
+  hops.forEach(hop => {
+    if (!hop.from.ip) return;
+    const network = isPrivateIp(hop.from.ip) ? 'private' : 'public';
+    if (previousNetwork === 'private' && network === 'public') privateToPublic++;
+    if (previousNetwork === 'public' && network === 'private') publicToPrivate++;
+    previousNetwork = network;
+  });
+
+  return {
+    hops,
+    hopCount: hops.length,
+    totalDelay: timestamps.length > 1 ? (timestamps[timestamps.length - 1] - timestamps[0]) / 1000 : null,
+    maxDelay: delays.length ? Math.max(...delays) : null,
+    // Clock skew or forged headers put a hop before the one it received the message from.
+    negativeDelays: delays.filter(delay => delay < 0).length,
+    privateToPublic,
+    publicToPrivate,
+    firstExternalHop: hops.find(hop => hop.from.ip && !isPrivateIp(hop.from.ip)) || null,
+    allTls: hops.length > 0 && hops.every(hop => hop.tls)
+  };
+}
+
+export {
+  parseReceived,
+  analyzeReceivedChain
+};
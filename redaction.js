@@ -0,0 +1,202 @@
+import { FeatureExtractor } from './featureExtraction.js';
+import { getModelMaxLength } from './tokenChunks.js';
+import { models } from './models.js';
+
+const DEFAULT_NER_MODEL = 'Xenova/bert-base-NER';
+
+// Entity labels of the NER model, without their B-/I- prefix, and the types they redact as.
+const NER_TYPES = { PER: 'person', ORG: 'organization', LOC: 'location' };
+
+const ALL_TYPES = ['person', 'organization', 'location', 'email', 'phone', 'iban', 'card'];
+
+// Checked in order; a later pattern never claims text an earlier one matched.
+const PATTERNS = [
+  { type: 'email', regex: /[\w.+%-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi },
+  { type: 'iban', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, valid: isValidIban },
+  { type: 'card', regex: /\b\d(?:[ -]?\d){12,18}\b/g, valid: isValidCardNumber },
+  { type: 'phone', regex: /(?<![\w+])\+?\(?\d[\d \t().\/-]{5,}\d(?!\w)/g, valid: isPhoneNumber }
+];
+
+/**
+ * Replaces personal data with typed placeholders: persons, organisations and locations found by a
+ * NER model, and email addresses, phone numbers, IBANs and card numbers found by pattern. The same
+ * value always gets the same placeholder, e.g. [PERSON_1], so redacted text still reads coherently.
+ * @param {string|Object} input - Text, features from FeatureExtractor.extract (markdown, context and
+ *   truncatedContext are redacted), or a processed email, which is extracted first
+ * @param {Object} [options] - Redaction options
+ * @param {string[]} [options.types] - Types to redact, all of 'person', 'organization', 'location', 'email',
+ *   'phone', 'iban' and 'card' by default
+ * @param {Function} [options.ner] - A loaded token-classification pipeline. Defaults to nerModel.
+ * @param {string} [options.nerModel] - NER model, Xenova/bert-base-NER by default
+ * @param {ModelManager} [options.models] - Loads nerModel, the shared manager by default
+ * @param {number} [options.minScore] - Lowest mean token score of a named entity, 0.5 by default
+ * @returns {Promise<Object>} For text { text, spans }, spans listing { type, start, end, text, placeholder }
+ *   with character offsets into the original text. For an email { markdown, context, truncatedContext }, each
+ *   { text, spans }.
+ */
+async function redact(input, options = {}) {
+  const types = options.types || ALL_TYPES;
+  const placeholders = new Map();
+  const ner = types.some(type => Object.values(NER_TYPES).includes(type))
+    ? options.ner || await (options.models || models).getPipeline('token-classification', options.nerModel || DEFAULT_NER_MODEL)
+    : null;
+  const redactText = async text => {
+    const spans = findPatternSpans(text, types);
+    if (ner) {
+      const named = await findNamedEntitySpans(ner, text, options.minScore ?? 0.5);
+      named
+        .filter(span => types.includes(span.type) && !spans.some(other => overlaps(span, other)))
+        .forEach(span => spans.push(span));
+    }
+    return applySpans(text, spans.sort((a, b) => a.start - b.start), placeholders);
+  };
+
+  if (typeof input === 'string') return redactText(input);
+
+  const features = 'markdown' in input || 'context' in input ? input : new FeatureExtractor().extract(input);
+  const result = {};
+  for (const field of ['markdown', 'context', 'truncatedContext']) {
+    if (typeof features[field] === 'string') result[field] = await redactText(features[field]);
+  }
+  return result;
+}
+
+function findPatternSpans(text, types) {
+  const spans = [];
+  PATTERNS.filter(pattern => types.includes(pattern.type)).forEach(pattern => {
+    for (const match of text.matchAll(pattern.regex)) {
+      const span = { type: pattern.type, start: match.index, end: match.index + match[0].length, text: match[0] };
+      if (pattern.valid && !pattern.valid(match[0])) continue;
+      if (!spans.some(other => overlaps(span, other))) spans.push(span);
+    }
+  });
+  return spans;
+}
+
+// The pipeline truncates to the model's input size, so long text is run in pieces of whole words.
+async function findNamedEntitySpans(ner, text, minScore) {
+  const spans = [];
+  for (const piece of splitText(ner.tokenizer, text)) {
+    const tokens = await ner(piece.text, { ignore_labels: [] });
+    groupEntities(alignTokens(tokens, piece.text), minScore).forEach(entity => spans.push({
+      type: entity.type,
+      start: piece.start + entity.start,
+      end: piece.start + entity.end,
+      text: piece.text.slice(entity.start, entity.end)
+    }));
+  }
+  return spans;
+}
+
+function splitText(tokenizer, text) {
+  if (!tokenizer) return [{ start: 0, text }];
+  const budget = getModelMaxLength(tokenizer) - tokenizer.encode('').length;
+  const pieces = [];
+  let piece = null;
+  for (const word of text.matchAll(/\S+/g)) {
+    const count = tokenizer.encode(word[0], null, { add_special_tokens: false }).length;
+    if (piece && piece.count + count <= budget) {
+      piece.end = word.index + word[0].length;
+      piece.count += count;
+    } else {
+      if (piece) pieces.push(piece);
+      piece = { start: word.index, end: word.index + word[0].length, count };
+    }
+  }
+  if (piece) pieces.push(piece);
+  return pieces.map(p => ({ start: p.start, text: text.slice(p.start, p.end) }));
+}
+
+// Token-classification output has no character offsets: find each token's word in the text, in order.
+function alignTokens(tokens, text) {
+  const lower = text.toLowerCase();
+  const haystack = lower.length === text.length ? lower : text;
+  const aligned = [];
+  let cursor = 0;
+  tokens.forEach(token => {
+    const subword = token.word.startsWith('##');
+    const word = (subword ? token.word.slice(2) : token.word).toLowerCase();
+    const start = word ? haystack.indexOf(word, cursor) : -1;
+    // Words the tokenizer normalized (accents, unknown characters) can't be found, skip them.
+    if (start === -1) return;
+    cursor = start + word.length;
+    const [prefix, label] = token.entity.includes('-') ? token.entity.split('-') : [null, token.entity];
+    aligned.push({ start, end: cursor, subword, prefix, type: NER_TYPES[label] || null, score: token.score });
+  });
+  return aligned;
+}
+
+function groupEntities(tokens, minScore) {
+  const entities = [];
+  let current = null;
+  tokens.forEach(token => {
+    // Word pieces belong to the word they continue, whatever their own label.
+    if (token.subword && current) {
+      current.end = token.end;
+      current.scores.push(token.score);
+    } else if (token.subword || !token.type) {
+      current = null;
+    } else if (current && token.prefix === 'I' && token.type === current.type) {
+      current.end = token.end;
+      current.scores.push(token.score);
+    } else {
+      current = { type: token.type, start: token.start, end: token.end, scores: [token.score] };
+      entities.push(current);
+    }
+  });
+  return entities
+    .filter(entity => entity.scores.reduce((a, b) => a + b, 0) / entity.scores.length >= minScore)
+    .map(({ type, start, end }) => ({ type, start, end }));
+}
+
+function applySpans(text, spans, placeholders) {
+  let redacted = '';
+  let position = 0;
+  spans.forEach(span => {
+    const key = `${span.type}:${span.text.toLowerCase().replace(/\s+/g, ' ')}`;
+    if (!placeholders.has(key)) {
+      const count = [...placeholders.keys()].filter(k => k.startsWith(`${span.type}:`)).length;
+      placeholders.set(key, `[${span.type.toUpperCase()}_${count + 1}]`);
+    }
+    span.placeholder = placeholders.get(key);
+    redacted += text.slice(position, span.start) + span.placeholder;
+    position = span.end;
+  });
+  return { text: redacted + text.slice(position), spans };
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// ISO 13616 check digits: the rearranged number modulo 97 is 1.
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, char => char.charCodeAt(0) - 55);
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  [...digits].reverse().forEach((digit, i) => {
+    let n = Number(digit);
+    if (i % 2 === 1) n = n * 2 > 9 ? n * 2 - 9 : n * 2;
+    sum += n;
+  });
+  return sum % 10 === 0;
+}
+
+// 7 to 15 digits (E.164), and not a date.
+function isPhoneNumber(value) {
+  const digits = value.replace(/\D/g, '').length;
+  if (digits < 7 || digits > 15) return false;
+  return !/^\d{4}[-\/.]\d{1,2}[-\/.]\d{1,2}$|^\d{1,2}[-\/.]\d{1,2}[-\/.]\d{2,4}$/.test(value.trim());
+}
+
+export {
+  redact
+};
@@ -0,0 +1,112 @@
+import * as htmlparser2 from 'htmlparser2';
+import { parseUrl } from './urls.js';
+import { parseStyle } from './hiddenContent.js';
+import { getRegistrableDomain } from './domains.js';
+
+// Open and click tracking domains of email service providers and sales tools.
+const TRACKING_DOMAINS = new Set([
+  'list-manage.com', 'sendgrid.net', 'mandrillapp.com', 'mailgun.org', 'rs6.net', 'hubspotlinks.com',
+  'hubspotemail.net', 'exacttarget.com', 'exct.net', 'sailthru.com', 'klaviyo.com', 'klclick.com',
+  'mjt.lu', 'sparkpostmail.com', 'mktoresp.com', 'pardot.com', 'createsend1.com', 'cmail19.com',
+  'cmail20.com', 'emltrk.com', 'bananatag.com', 'yesware.com', 'mailtrack.io', 'mixmax.com',
+  'superhuman.com', 'getnotify.com', 'streak.com', 'awstrack.me', 'pstmrk.it', 'customeriomail.com',
+  'intercom-mail.com', 'iterable.com', 'mailchimpapp.net', 'eventbrite-tracking.com'
+]);
+
+const FONT_URL = /\.(?:woff2?|ttf|otf|eot)(?:[?#]|$)/i;
+// url(...) references and @import "..." rules, in source order.
+const CSS_REFERENCE = /url\(\s*(['"]?)(.*?)\1\s*\)|@import\s+(['"])(.*?)\3/gi;
+
+/**
+ * Lists the remote resources an HTML body loads when displayed: images, stylesheets, fonts,
+ * backgrounds and media, with tracking pixels and tracking domains flagged
+ * @param {string} html - The HTML body
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.senderDomain] - Domain of the From address; other domains are third parties
+ * @returns {Object} { resources, trackingPixels, trackingDomains, thirdPartyHosts, thirdPartyHostCount }.
+ *   Each resource is { url, host, domain, type, source, trackingPixel, trackingDomain, thirdParty }, type one of
+ *   'image', 'stylesheet', 'font', 'background' and 'media'. trackingDomains and thirdPartyHosts are distinct, in order of appearance.
+ */
+function analyzeRemoteContent(html, options = {}) {
+  const resources = [];
+  const add = (value, type, source, trackingPixel = false) => {
+    // Protocol-relative URLs load over the scheme of the page.
+    const trimmed = (value || '').trim();
+    const url = parseUrl(trimmed.startsWith('//') ? `https:${trimmed}` : trimmed, { senderDomain: options.senderDomain });
+    if (!url || !['http', 'https'].includes(url.scheme)) return;
+    resources.push({
+      url: url.url,
+      host: url.host,
+      domain: url.registrableDomain,
+      type,
+      source,
+      trackingPixel,
+      trackingDomain: TRACKING_DOMAINS.has(getRegistrableDomain(url.host)),
+      thirdParty: !url.senderDomain
+    });
+  };
+  const addCss = (css, source) => {
+    for (const match of css.matchAll(CSS_REFERENCE)) {
+      if (match[4] !== undefined) add(match[4], 'stylesheet', source);
+      else add(match[2], FONT_URL.test(match[2]) ? 'font' : 'image', source);
+    }
+  };
+
+  if (html) {
+    let inStyle = false;
+    const parser = new htmlparser2.Parser({
+      onopentag(name, attributes) {
+        const style = parseStyle(attributes.style);
+        if (name === 'img' || (name === 'input' && (attributes.type || '').toLowerCase() === 'image')) {
+          add(attributes.src, 'image', name, isTrackingPixel(attributes, style));
+        }
+        if ((name === 'img' || name === 'source') && attributes.srcset) {
+          attributes.srcset.split(',').forEach(candidate => add(candidate.trim().split(/\s+/)[0], 'image', name));
+        }
+        if (name === 'link' && attributes.href) {
+          const rel = (attributes.rel || '').toLowerCase();
+          if (rel.includes('stylesheet')) add(attributes.href, 'stylesheet', name);
+          else if ((attributes.as || '').toLowerCase() === 'font' || FONT_URL.test(attributes.href)) add(attributes.href, 'font', name);
+          else if (rel.includes('icon')) add(attributes.href, 'image', name);
+        }
+        if (attributes.background) add(attributes.background, 'background', name);
+        if (['video', 'audio', 'source', 'track'].includes(name) && attributes.src) add(attributes.src, 'media', name);
+        if (name === 'video' && attributes.poster) add(attributes.poster, 'image', name);
+        if (attributes.style) addCss(attributes.style, 'style');
+        if (name === 'style') inStyle = true;
+      },
+      ontext(text) {
+        if (inStyle) addCss(text, 'style');
+      },
+      onclosetag(name) {
+        if (name === 'style') inStyle = false;
+      }
+    }, {
+      decodeEntities: true,
+      recognizeSelfClosing: true
+    });
+    parser.write(html);
+    parser.end();
+  }
+
+  const thirdPartyHosts = [...new Set(resources.filter(r => r.thirdParty).map(r => r.host))];
+  return {
+    resources,
+    trackingPixels: resources.filter(r => r.trackingPixel).length,
+    trackingDomains: [...new Set(resources.filter(r => r.trackingDomain).map(r => r.domain))],
+    thirdPartyHosts,
+    thirdPartyHostCount: thirdPartyHosts.length
+  };
+}
+
+// 1x1 (or smaller) images and images hidden with CSS exist only to be fetched.
+function isTrackingPixel(attributes, style) {
+  if (style.display === 'none' || style.visibility === 'hidden' || 'hidden' in attributes) return true;
+  const width = parseFloat(style.width ?? attributes.width);
+  const height = parseFloat(style.height ?? attributes.height);
+  return !isNaN(width) && !isNaN(height) && width <= 1 && height <= 1;
+}
+
+export {
+  analyzeRemoteContent
+};
@@ -0,0 +1,175 @@
+import { parse } from 'yaml';
+import { HeaderList } from './headers.js';
+
+const COMPARISONS = ['equals', 'notEquals', 'contains', 'regex', 'in', 'gt', 'gte', 'lt', 'lte', 'exists'];
+const COMBINATORS = ['all', 'any', 'not'];
+
+/**
+ * Evaluates detection rules against the features of FeatureExtractor.extract and the processed
+ * email's headers, so detections can be written as data. A rule looks like
+ *
+ *   id: reply-to-freemail
+ *   score: 30
+ *   reason: Replies go to a freemail mailbox
+ *   when:
+ *     all:
+ *       - { field: senderConsistency.replyToFreemail, equals: true }
+ *       - { field: headers.subject, regex: "urgent|action required", flags: i }
+ *
+ * Fields are dot paths into the features, `*` stepping into every item of an array, or
+ * headers.<name> for every value of a header. A condition holds when any of a field's values
+ * satisfies it; arrays are compared item by item except by contains and exists, to which an
+ * empty array doesn't exist.
+ */
+class RuleEngine {
+  /**
+   * @param {Object[]} rules - Rules, { id, score, reason, when, enabled }
+   * @throws {Error} When a rule is malformed
+   */
+  constructor(rules) {
+    if (!Array.isArray(rules)) throw new Error('Rules must be a list');
+    const ids = new Set();
+    this.rules = rules.filter(rule => rule.enabled !== false).map(rule => {
+      if (!rule.id) throw new Error('Rule without id');
+      if (ids.has(rule.id)) throw new Error(`Duplicate rule id "${rule.id}"`);
+      ids.add(rule.id);
+      if (typeof (rule.score ?? 0) !== 'number') throw new Error(`Rule "${rule.id}": score must be a number`);
+      return { id: rule.id, score: rule.score ?? 0, reason: rule.reason || '', when: compile(rule.when, rule.id) };
+    });
+  }
+
+  /**
+   * Creates an engine from JSON or YAML text, a list of rules or { rules: [...] }
+   * @param {string} text - The rules
+   * @returns {RuleEngine} The engine
+   */
+  static fromText(text) {
+    // YAML is a superset of JSON.
+    const parsed = parse(text);
+    return new RuleEngine(Array.isArray(parsed) ? parsed : parsed?.rules);
+  }
+
+  /**
+   * @param {Object} features - Output of FeatureExtractor.extract
+   * @param {Object} [email] - The processed email, for headers.<name> fields
+   * @returns {Object} { score, matches }, score the sum of the matched rules' scores and each match
+   *   { id, score, reason, evidence }, evidence listing the { field, value } pairs that satisfied the rule
+   */
+  evaluate(features, email) {
+    const context = {
+      features,
+      headers: email ? email.headerList || HeaderList.fromObject(email.headers) : new HeaderList()
+    };
+    const matches = [];
+    this.rules.forEach(rule => {
+      const evidence = rule.when(context);
+      if (evidence) matches.push({ id: rule.id, score: rule.score, reason: rule.reason, evidence });
+    });
+    return {
+      score: matches.reduce((sum, match) => sum + match.score, 0),
+      matches
+    };
+  }
+}
+
+// Turns a condition into a function of the evaluation context returning its evidence, or null when it
+// doesn't hold.
+function compile(condition, id) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new Error(`Rule "${id}": a condition must be an object`);
+  }
+  if (condition.all || condition.any) {
+    const key = condition.all ? 'all' : 'any';
+    if (!Array.isArray(condition[key])) throw new Error(`Rule "${id}": ${key} must be a list of conditions`);
+    const children = condition[key].map(child => compile(child, id));
+    return key === 'all'
+      ? context => {
+        const evidence = [];
+        for (const child of children) {
+          const found = child(context);
+          if (!found) return null;
+          evidence.push(...found);
+        }
+        return evidence;
+      }
+      : context => {
+        const found = children.map(child => child(context)).filter(Boolean);
+        return found.length ? found.flat() : null;
+      };
+  }
+  if (condition.not) {
+    const child = compile(condition.not, id);
+    return context => (child(context) ? null : []);
+  }
+
+  if (typeof condition.field !== 'string') {
+    throw new Error(`Rule "${id}": a condition needs a field or one of ${COMBINATORS.join(', ')}`);
+  }
+  const operators = COMPARISONS.filter(operator => operator in condition);
+  if (operators.length !== 1) {
+    throw new Error(`Rule "${id}": ${condition.field} needs exactly one of ${COMPARISONS.join(', ')}`);
+  }
+  const test = compileComparison(operators[0], condition, id);
+  return context => {
+    const values = resolve(context, condition.field);
+    if (operators[0] === 'exists') {
+      const present = values.filter(value => value !== undefined && value !== null && !(Array.isArray(value) && !value.length));
+      if (Boolean(present.length) !== Boolean(condition.exists)) return null;
+      return present.map(value => ({ field: condition.field, value }));
+    }
+    const evidence = [];
+    values.forEach(value => {
+      const items = Array.isArray(value) && operators[0] !== 'contains' ? value : [value];
+      items.filter(test).forEach(item => evidence.push({ field: condition.field, value: item }));
+    });
+    return evidence.length ? evidence : null;
+  };
+}
+
+function compileComparison(operator, condition, id) {
+  const expected = condition[operator];
+  switch (operator) {
+    case 'equals':
+      return value => value === expected;
+    case 'notEquals':
+      return value => value !== undefined && value !== expected;
+    case 'contains':
+      return value => (Array.isArray(value) || typeof value === 'string') && value.includes(expected);
+    case 'regex': {
+      let regex;
+      try {
+        regex = new RegExp(expected, (condition.flags || '').replace('g', ''));
+      } catch (error) {
+        throw new Error(`Rule "${id}": invalid regex for ${condition.field}: ${error.message}`);
+      }
+      return value => typeof value === 'string' && regex.test(value);
+    }
+    case 'in':
+      if (!Array.isArray(expected)) throw new Error(`Rule "${id}": in needs a list for ${condition.field}`);
+      return value => expected.includes(value);
+    case 'exists':
+      return () => true;
+    default: {
+      if (typeof expected !== 'number') throw new Error(`Rule "${id}": ${operator} needs a number for ${condition.field}`);
+      const compare = { gt: (a, b) => a > b, gte: (a, b) => a >= b, lt: (a, b) => a < b, lte: (a, b) => a <= b }[operator];
+      return value => typeof value === 'number' && compare(value, expected);
+    }
+  }
+}
+
+// Every value at a field path, fanning out at '*'.
+function resolve(context, field) {
+  const [first, ...rest] = field.split('.');
+  if (first === 'headers') return rest.length ? context.headers.getAll(rest.join('.')) : [];
+  let values = [context.features];
+  [first, ...rest].forEach(segment => {
+    values = segment === '*'
+      ? values.flatMap(value => (Array.isArray(value) ? value : []))
+      : values.map(value => (value === null || value === undefined ? undefined : value[segment]));
+  });
+  return values;
+}
+
+export {
+  RuleEngine
+};
@@ -0,0 +1,70 @@
+import { parseAddressList } from './addressParser.js';
+import { parseAuthenticationResults, parseReceivedSpf } from './authResults.js';
+import { getHeaderValues } from './headers.js';
+import { isFreemail, isSameOrganization } from './domains.js';
+
+/**
+ * Compares the From address with the other sender identities of an email: the Sender,
+ * Reply-To and Return-Path headers and the envelope sender recorded by receiving servers
+ * @param {HeaderList|Object} headers - The email's HeaderList or flat headers
+ * @param {Object|null} from - The parsed From address, see createAddress
+ * @returns {Object} { fromDomain, sender, replyTo, returnPath, envelopeFrom, senderMismatch, replyToCrossDomain,
+ *   replyToFreemail, returnPathMisaligned, envelopeFromMisaligned }. Identities are { address, domain, aligned }
+ *   or null when absent; aligned means the same registrable domain as From.
+ */
+function analyzeSenderConsistency(headers, from) {
+  const fromDomain = from?.domain || null;
+  const identity = (address, extra = {}) => (address ? {
+    address: address.address,
+    domain: address.domain || null,
+    aligned: isSameOrganization(address.domain, fromDomain),
+    ...extra
+  } : null);
+
+  const sender = identity(parseAddressList(getHeaderValues(headers, 'sender'))[0]);
+  const replyTo = parseAddressList(getHeaderValues(headers, 'reply-to'))
+    .map(address => identity(address, { freemail: isFreemail(address.domain) }));
+  // The last delivery server adds Return-Path, so the first one is authoritative. "<>" is a null sender.
+  const returnPathAddress = parseAddressList(getHeaderValues(headers, 'return-path')[0] || '')[0];
+  const returnPath = returnPathAddress && returnPathAddress.address ? identity(returnPathAddress) : null;
+  const envelopeFrom = findEnvelopeFrom(headers);
+
+  return {
+    fromDomain,
+    sender,
+    replyTo,
+    returnPath,
+    envelopeFrom: envelopeFrom ? identity(envelopeFrom.address, { source: envelopeFrom.source }) : null,
+    // Sending on behalf of another domain, common for mailing lists and ESPs but also for spoofing.
+    senderMismatch: Boolean(sender) && !sender.aligned,
+    replyToCrossDomain: replyTo.some(r => !r.aligned),
+    // Replies go to a webmail account although the mail comes from a company domain.
+    replyToFreemail: Boolean(fromDomain) && !isFreemail(fromDomain) && replyTo.some(r => r.freemail),
+    returnPathMisaligned: Boolean(returnPath) && !returnPath.aligned,
+    envelopeFromMisaligned: Boolean(envelopeFrom) && !isSameOrganization(envelopeFrom.address.domain, fromDomain)
+  };
+}
+
+// The SMTP MAIL FROM as seen by the receiving servers: Authentication-Results, Received-SPF,
+// then an "envelope-from" note in a Received header.
+function findEnvelopeFrom(headers) {
+  const sources = [
+    ['authentication-results', value => parseAuthenticationResults(value).results
+      .find(r => r.method === 'spf' && r.properties['smtp.mailfrom'])?.properties['smtp.mailfrom']],
+    ['received-spf', value => parseReceivedSpf(value).properties['envelope-from']],
+    ['received', value => /\benvelope-from\s*<?([^\s<>;()]+@[^\s<>;()]+)>?/i.exec(value)?.[1]]
+  ];
+  for (const [name, extract] of sources) {
+    for (const value of getHeaderValues(headers, name)) {
+      const found = extract(value);
+      // smtp.mailfrom may be a bare domain; SPF treats that as postmaster@domain (RFC 7208 section 2.4).
+      const address = found ? parseAddressList(found.includes('@') ? found : `postmaster@${found}`)[0] : null;
+      if (address && address.domain) return { address, source: name };
+    }
+  }
+  return null;
+}
+
+export {
+  analyzeSenderConsistency
+};
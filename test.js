@@ -1,9 +1,31 @@
 import { FeatureExtractor } from './index.js';
+import { redact } from './index.js';
+import { classify } from './index.js';
+import { embed, cosineSimilarity } from './index.js';
+import { RuleEngine } from './index.js';
+import { ModelManager, ModelFilesMissingError } from './index.js';
 import { GmailPreprocessor } from './index.js';
 import { GmailEmailDecoder } from './gmailDecoder.js';
 import { EMLPreprocessor } from './index.js';
 import { Base64 } from 'js-base64';
 import { OutlookPreprocessor } from './preprocessor.js';
+import { RawMimePreprocessor } from './index.js';
+import { MailboxReader } from './index.js';
+import { parseAddressList } from './addressParser.js';
+import { parseAuthenticationResults } from './authResults.js';
+import { parseReceived } from './receivedChain.js';
+import { HeaderList } from './headers.js';
+import { parseUrl } from './urls.js';
+import { getRegistrableDomain, isSameOrganization } from './domains.js';
+import { getSkeleton, getScripts, scoreDomain } from './lookalikes.js';
+import { sniffFileType } from './fileTypes.js';
+import { chunkText } from './tokenChunks.js';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+const sha256 = content => createHash('sha256').update(content).digest('hex');
 // Test suite
 const runTests = async () => {
   console.log('Starting tests...\n');
@@ -115,9 +137,12 @@ const runTests = async () => {
           id: 'att123',
           filename: 'test.pdf',
           mimeType: 'application/pdf',
-          size: 12345
+          size: 12345,
+          disposition: 'attachment'
         }
-      ]
+      ],
+      inlineParts: {},
+      decodeWarnings: []
     });
   });
 
@@ -149,7 +174,9 @@ const runTests = async () => {
         plain: 'Simple plain text message',
         html: ''
       },
-      attachments: []
+      attachments: [],
+      inlineParts: {},
+      decodeWarnings: []
     });
   });
 
@@ -221,7 +248,9 @@ const runTests = async () => {
         plain: '',
         html: ''
       },
-      attachments: []
+      attachments: [],
+      inlineParts: {},
+      decodeWarnings: []
     });
   });
 
@@ -250,6 +279,289 @@ const runTests = async () => {
     }
   });
 
+  await test('should decode parts using their declared charset', async () => {
+    const latin1 = Base64.fromUint8Array(new Uint8Array([0x43, 0x61, 0x66, 0xe9]));
+    const shiftJis = Base64.fromUint8Array(new Uint8Array([0x93, 0xfa, 0x96, 0x7b]));
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [],
+        parts: [
+          {
+            partId: '0',
+            mimeType: 'text/plain',
+            headers: [{ name: 'Content-Type', value: 'text/plain; charset="ISO-8859-1"' }],
+            body: { data: latin1 }
+          },
+          {
+            partId: '1',
+            mimeType: 'text/html',
+            headers: [{ name: 'Content-Type', value: 'text/html; charset=Shift_JIS' }],
+            body: { data: shiftJis }
+          }
+        ]
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage);
+    assertEqual(decodedEmail.body, { plain: 'Café', html: '日本' });
+    assertEqual(decodedEmail.decodeWarnings, []);
+  });
+
+  await test('should decode quoted-printable parts', async () => {
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        mimeType: 'text/plain',
+        headers: [
+          { name: 'Content-Type', value: 'text/plain; charset=windows-1252' },
+          { name: 'Content-Transfer-Encoding', value: 'quoted-printable' }
+        ],
+        body: { data: Base64.encode('Price: 5=80 =3D five euros, soft=\r\nbreak') }
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage, { transferEncoded: true });
+    assertEqual(decodedEmail.body.plain, 'Price: 5€ = five euros, softbreak');
+  });
+
+  await test('should not decode content Gmail already decoded', async () => {
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [
+          { name: 'Content-Type', value: 'text/plain; charset=utf-8' },
+          { name: 'Content-Transfer-Encoding', value: 'base64' }
+        ],
+        mimeType: 'text/plain',
+        body: { data: Base64.encode('Test') }
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage);
+    assertEqual(decodedEmail.body.plain, 'Test');
+  });
+
+  await test('should not decode quoted-printable content Gmail already decoded', async () => {
+    const html = '<a href="https://example.com/track?id=AB12CD&s=FF">Pay</a> total=10 and more text on a long line here';
+    const short = 'a=FF';
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [],
+        parts: [{
+          partId: '0',
+          mimeType: 'text/html',
+          headers: [
+            { name: 'Content-Type', value: 'text/html; charset=utf-8' },
+            { name: 'Content-Transfer-Encoding', value: 'quoted-printable' }
+          ],
+          body: { data: Base64.encode(html) }
+        }, {
+          partId: '1',
+          mimeType: 'text/plain',
+          headers: [
+            { name: 'Content-Type', value: 'text/plain; charset=utf-8' },
+            { name: 'Content-Transfer-Encoding', value: 'quoted-printable' }
+          ],
+          body: { data: Base64.encode(short) }
+        }]
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage);
+    assertEqual(decodedEmail.body, { plain: short, html });
+    assertEqual(decodedEmail.decodeWarnings, []);
+  });
+
+  await test('should keep lines ending in = of quoted-printable content Gmail already decoded', async () => {
+    const plain = 'Results\n==========\nTotal: 5\nToken: dGVzdA==\nend';
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        mimeType: 'text/plain',
+        headers: [
+          { name: 'Content-Type', value: 'text/plain; charset=utf-8' },
+          { name: 'Content-Transfer-Encoding', value: 'quoted-printable' }
+        ],
+        body: { data: Base64.encode(plain) }
+      }
+    };
+
+    assertEqual(GmailEmailDecoder.decodeEmail(mockMessage).body.plain, plain);
+  });
+
+  await test('should record a warning for parts decoded with a best guess', async () => {
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [],
+        parts: [{
+          partId: '0',
+          mimeType: 'text/plain',
+          headers: [{ name: 'Content-Type', value: 'text/plain; charset=utf-8' }],
+          body: { data: Base64.fromUint8Array(new Uint8Array([0x4e, 0x61, 0xef, 0x76, 0x65])) }
+        }, {
+          partId: '1',
+          mimeType: 'text/html',
+          headers: [{ name: 'Content-Type', value: 'text/html; charset=x-unknown' }],
+          body: { data: Base64.encode('<p>ok</p>') }
+        }]
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage);
+    assertEqual(decodedEmail.body, { plain: 'Naïve', html: '<p>ok</p>' });
+    assertEqual(decodedEmail.decodeWarnings, [
+      {
+        partId: '0',
+        mimeType: 'text/plain',
+        charset: 'windows-1252',
+        message: 'Content is not valid utf-8, decoded as windows-1252'
+      },
+      {
+        partId: '1',
+        mimeType: 'text/html',
+        charset: 'utf-8',
+        message: 'Unsupported charset "x-unknown", decoded as utf-8'
+      }
+    ]);
+  });
+
+  await test('should collect inline parts of multipart/related messages', async () => {
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [],
+        mimeType: 'multipart/related',
+        parts: [
+          {
+            mimeType: 'text/html',
+            body: { data: Base64.encode('<img src="cid:logo@example.com"><img src="cid:chart">') }
+          },
+          {
+            mimeType: 'image/png',
+            filename: 'logo.png',
+            headers: [
+              { name: 'Content-ID', value: '<logo@example.com>' },
+              { name: 'Content-Disposition', value: 'inline; filename="logo.png"' }
+            ],
+            body: { attachmentId: 'att1', size: 2048 }
+          },
+          {
+            mimeType: 'image/gif',
+            filename: '',
+            headers: [{ name: 'Content-ID', value: '<chart>' }],
+            body: { data: 'R0lGODlhAQABAAAAACw=', size: 14 }
+          },
+          {
+            mimeType: 'application/pdf',
+            filename: 'report.pdf',
+            headers: [{ name: 'Content-Disposition', value: 'attachment; filename="report.pdf"' }],
+            body: { attachmentId: 'att2', size: 4096 }
+          }
+        ]
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage);
+    assertEqual(decodedEmail.inlineParts, {
+      'logo@example.com': {
+        contentId: 'logo@example.com',
+        attachmentId: 'att1',
+        filename: 'logo.png',
+        mimeType: 'image/png',
+        size: 2048
+      },
+      chart: {
+        contentId: 'chart',
+        filename: '',
+        mimeType: 'image/gif',
+        size: 14
+      }
+    });
+    assertEqual(decodedEmail.attachments, [
+      { id: 'att1', filename: 'logo.png', mimeType: 'image/png', size: 2048, disposition: 'inline' },
+      { id: '', filename: '', mimeType: 'image/gif', size: 14, disposition: 'inline' },
+      { id: 'att2', filename: 'report.pdf', mimeType: 'application/pdf', size: 4096, disposition: 'attachment' }
+    ]);
+    assertEqual(decodedEmail.body.html, '<img src="cid:logo@example.com"><img src="cid:chart">');
+
+    const kept = GmailEmailDecoder.decodeEmail(mockMessage, { keepAttachmentData: true });
+    assertEqual(kept.inlineParts.chart.data, 'R0lGODlhAQABAAAAACw=');
+    assertEqual(kept.attachments[1].data, 'R0lGODlhAQABAAAAACw=');
+    const capped = GmailEmailDecoder.decodeEmail(mockMessage, { keepAttachmentData: true, maxAttachmentSize: 10 });
+    assertEqual(capped.inlineParts.chart.data, undefined);
+  });
+
+  await test('should rewrite cid: URLs when asked to', async () => {
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [],
+        parts: [
+          {
+            mimeType: 'text/html',
+            body: { data: Base64.encode('<img src="cid:logo@example.com"><img src="cid:chart"><img src="cid:missing">') }
+          },
+          {
+            mimeType: 'image/png',
+            headers: [{ name: 'Content-ID', value: '<logo@example.com>' }],
+            body: { attachmentId: 'att1', size: 2048 }
+          },
+          {
+            mimeType: 'image/gif',
+            headers: [{ name: 'Content-ID', value: '<chart>' }],
+            body: { data: 'R0lGODlh-_8=', size: 8 }
+          }
+        ]
+      }
+    };
+
+    const inlined = GmailEmailDecoder.decodeEmail(mockMessage, { rewriteCidUrls: true, keepAttachmentData: true });
+    assertEqual(
+      inlined.body.html,
+      '<img src="cid:logo@example.com"><img src="data:image/gif;base64,R0lGODlh+/8="><img src="cid:missing">'
+    );
+
+    const proxied = GmailEmailDecoder.decodeEmail(mockMessage, {
+      rewriteCidUrls: part => part.attachmentId && `https://proxy.example.com/${part.attachmentId}`
+    });
+    assertEqual(
+      proxied.body.html,
+      '<img src="https://proxy.example.com/att1"><img src="cid:chart"><img src="cid:missing">'
+    );
+  });
+
+  await test('should keep repeated headers as arrays', async () => {
+    const mockMessage = {
+      id: 'test123',
+      internalDate: '1714124741000',
+      payload: {
+        headers: [
+          { name: 'Received', value: 'from b by c' },
+          { name: 'Subject', value: 'Hi' },
+          { name: 'Received', value: 'from a by b' },
+          { name: 'received', value: 'from origin by a' }
+        ]
+      }
+    };
+
+    const decodedEmail = GmailEmailDecoder.decodeEmail(mockMessage);
+    assertEqual(decodedEmail.headers, {
+      received: ['from b by c', 'from a by b', 'from origin by a'],
+      subject: 'Hi'
+    });
+  });
+
   // Before FeatureExtractor tests
   printTestSeparator('FeatureExtractor');
 
@@ -280,8 +592,115 @@ const runTests = async () => {
       markdown: 'This is a **test** email body',
       sender: 'test@example.com',
       subject: 'Test Email',
+      authentication: {
+        authservId: null,
+        fromDomain: 'example.com',
+        spf: { result: null, domain: null, aligned: false },
+        dkim: { result: null, domain: null, aligned: false, signatures: [] },
+        dmarc: { result: null, domain: 'example.com', policy: null },
+        arc: { result: null, instances: 0, chainValidation: null, sealer: null },
+        aligned: false
+      },
+      receivedChain: {
+        hops: [],
+        hopCount: 0,
+        totalDelay: null,
+        maxDelay: null,
+        negativeDelays: 0,
+        privateToPublic: 0,
+        publicToPrivate: 0,
+        firstExternalHop: null,
+        allTls: false
+      },
+      senderConsistency: {
+        fromDomain: 'example.com',
+        sender: null,
+        replyTo: [],
+        returnPath: null,
+        envelopeFrom: null,
+        senderMismatch: false,
+        replyToCrossDomain: false,
+        replyToFreemail: false,
+        returnPathMisaligned: false,
+        envelopeFromMisaligned: false
+      },
+      urls: [],
+      lookalikes: {
+        sender: {
+          domain: 'example.com',
+          unicode: 'example.com',
+          idn: false,
+          scripts: ['Latin'],
+          mixedScript: false,
+          protected: false,
+          protectedDomain: null,
+          techniques: [],
+          distance: null,
+          score: 0
+        },
+        replyTo: [],
+        links: [],
+        score: 0
+      },
+      impersonation: {
+        name: '',
+        address: 'test@example.com',
+        domain: 'example.com',
+        freemail: false,
+        embeddedAddress: null,
+        embeddedAddressMismatch: false,
+        vip: null,
+        vipOutsideDomain: false,
+        brand: null,
+        brandFromFreemail: false,
+        impersonation: false
+      },
+      attachments: {
+        attachments: [],
+        counts: {
+          total: 0,
+          risky: 0,
+          dangerousExtension: 0,
+          doubleExtension: 0,
+          unicodeTrick: 0,
+          mimeMismatch: 0,
+          contentMismatch: 0,
+          executableContent: 0,
+          archive: 0,
+          passwordHint: 0,
+          htmlSmuggling: 0,
+          container: 0,
+          totalSize: 0
+        }
+      },
+      hiddenContent: {
+        visibleText: 'This is a test email body',
+        hiddenText: '',
+        hiddenRatio: 0,
+        techniques: [],
+        zeroWidthCharacters: 0
+      },
+      forms: {
+        forms: [],
+        passwordFields: 0,
+        emailFields: 0,
+        cardFields: 0,
+        credentialForm: false,
+        scripts: 0,
+        iframes: [],
+        objects: 0,
+        metaRefresh: []
+      },
+      remoteContent: {
+        resources: [],
+        trackingPixels: 0,
+        trackingDomains: [],
+        thirdPartyHosts: [],
+        thirdPartyHostCount: 0
+      },
       context: 'test@example.com Test Email This is a **test** email body',
-      truncatedContext: 'test@example.com Test Email This is a **test** email body'
+      truncatedContext: 'test@example.com Test Email This is a **test** email body',
+      tokens: null
     });
   });
 
@@ -391,23 +810,697 @@ const runTests = async () => {
       throw new Error('Markdown is missing expected content');
     }
 
-    assertEqual(result.sender, 'test@example.com');
-    assertEqual(result.subject, 'Test Subject');
+    assertEqual(result.sender, 'test@example.com');
+    assertEqual(result.subject, 'Test Subject');
+  });
+
+  await test('FeatureExtractor should remove excess whitespace from meta context', async () => {
+    const extractor = new FeatureExtractor();
+    const features = {
+      sender: '   test@example.com    ',
+      subject: '\n  Test Email     ',
+      markdown: '\n\nThis is  a **test**   email   body\n'
+    };
+    
+    const { context, truncatedContext } = extractor.extractMetaFeatures(features);
+    const expected = 'test@example.com Test Email This is a **test** email body';
+    
+    assertEqual(context, expected);
+    assertEqual(truncatedContext, expected);
+  });
+
+  // One token per word, wrapped in [CLS] and [SEP] like a BERT tokenizer.
+  const wordTokenizer = {
+    model_max_length: 512,
+    vocab: [],
+    encode(text, pair = null, { add_special_tokens = true } = {}) {
+      const toIds = value => value.split(' ').filter(Boolean).map(word => {
+        if (!this.vocab.includes(word)) this.vocab.push(word);
+        return this.vocab.indexOf(word) + 2;
+      });
+      const ids = toIds(text);
+      if (pair === null) return add_special_tokens ? [0, ...ids, 1] : ids;
+      return add_special_tokens ? [0, ...ids, 1, ...toIds(pair), 1] : [...ids, ...toIds(pair)];
+    },
+    decode(ids) {
+      if (!ids.length) throw new Error('token_ids must be a non-empty array of integers.');
+      return ids.filter(id => id > 1).map(id => this.vocab[id - 2]).join(' ');
+    }
+  };
+  const words = count => Array.from({ length: count }, (_, i) => `w${i}`).join(' ');
+
+  await test('chunkText truncates in tokens with head, head-tail and sliding-window strategies', async () => {
+    const text = words(20);
+    const head = chunkText(wordTokenizer, text, { maxTokens: 10 });
+    assertEqual(head, {
+      count: 20,
+      maxTokens: 10,
+      strategy: 'head',
+      truncated: true,
+      text: words(8),
+      chunks: [{ index: 0, tokenStart: 0, tokenEnd: 8, text: words(8) }]
+    });
+
+    const headTail = chunkText(wordTokenizer, text, { maxTokens: 10, strategy: 'head-tail', headTokens: 3 });
+    assertEqual(headTail.text, 'w0 w1 w2 w15 w16 w17 w18 w19');
+    assertEqual(headTail.chunks.map(c => [c.tokenStart, c.tokenEnd]), [[0, 3], [15, 20]]);
+
+    const windows = chunkText(wordTokenizer, text, { maxTokens: 10, strategy: 'sliding-window', stride: 2 });
+    assertEqual(windows.chunks.map(c => [c.index, c.tokenStart, c.tokenEnd]), [[0, 0, 8], [1, 6, 14], [2, 12, 20]]);
+    assertEqual(windows.chunks[2].text, 'w12 w13 w14 w15 w16 w17 w18 w19');
+    assertEqual(windows.text, words(8));
+
+    const short = chunkText(wordTokenizer, 'w0 w1', { strategy: 'sliding-window' });
+    assertEqual(short.maxTokens, 512);
+    assertEqual(short.truncated, false);
+    assertEqual(short.chunks, [{ index: 0, tokenStart: 0, tokenEnd: 2, text: 'w0 w1' }]);
+    assertEqual(chunkText(wordTokenizer, '').chunks, [{ index: 0, tokenStart: 0, tokenEnd: 0, text: '' }]);
+    try {
+      chunkText(wordTokenizer, text, { strategy: 'middle' });
+      throw new Error('Should have thrown an error');
+    } catch (error) {
+      assert(error.message.includes('Unknown truncation strategy'));
+    }
+  });
+
+  await test('FeatureExtractor truncates meta context with its tokenizer', async () => {
+    const extractor = new FeatureExtractor({
+      tokenizer: wordTokenizer,
+      truncation: { maxTokens: 8, strategy: 'head-tail', headTokens: 2 }
+    });
+    assertEqual(await extractor.loadTokenizer(), wordTokenizer);
+    const { context, truncatedContext, tokens } = extractor.extractMetaFeatures({
+      sender: 'a@example.com',
+      subject: 'Invoice',
+      markdown: words(10)
+    });
+    assertEqual(context, `a@example.com Invoice ${words(10)}`);
+    assertEqual(truncatedContext, 'a@example.com Invoice w6 w7 w8 w9');
+    assertEqual(tokens.count, 12);
+    assertEqual(tokens.truncated, true);
+    assertEqual(tokens.chunks.map(c => [c.tokenStart, c.tokenEnd]), [[0, 2], [8, 12]]);
+  });
+
+  await test('parseAuthenticationResults parses methods, comments and properties', async () => {
+    const parsed = parseAuthenticationResults(
+      'mx.google.com;\r\n       dkim=pass header.i=@email.nextdoor.com header.s=s1 header.b=KYyouB1E;\r\n' +
+      '       spf=pass (google.com: domain of bounces@rs.email.nextdoor.com designates 167.89.48.102 as permitted sender) ' +
+      'smtp.mailfrom="bounces@rs.email.nextdoor.com";\r\n       dmarc=pass (p=REJECT sp=REJECT dis=NONE) header.from=nextdoor.com'
+    );
+    assertEqual(parsed.authservId, 'mx.google.com');
+    assertEqual(parsed.results.map(r => [r.method, r.result]), [['dkim', 'pass'], ['spf', 'pass'], ['dmarc', 'pass']]);
+    assertEqual(parsed.results[1].properties, { 'smtp.mailfrom': 'bounces@rs.email.nextdoor.com' });
+    assertEqual(parsed.results[2].comment, 'p=REJECT sp=REJECT dis=NONE');
+
+    const arc = parseAuthenticationResults('i=2; mx.example.com; arc=fail reason="bad seal" (chain broken)');
+    partialEqual(arc, { instance: 2, authservId: 'mx.example.com' });
+    assertEqual(arc.results[0].reason, 'bad seal');
+  });
+
+  await test('FeatureExtractor reports aligned authentication', async () => {
+    const extractor = new FeatureExtractor();
+    const { authentication } = extractor.extractFeatures({
+      sender: 'Nextdoor <no-reply@is.email.nextdoor.com>',
+      subject: 'Notifications',
+      headers: {
+        'arc-seal': 'i=1; a=rsa-sha256; t=1734849179; cv=none; d=google.com; s=arc-20240605; b=XZX',
+        'authentication-results': 'mx.google.com; dkim=pass header.i=@email.nextdoor.com header.s=s1; ' +
+          'dkim=pass header.i=@sendgrid.info header.s=smtpapi; spf=pass smtp.mailfrom=bounces@rs.email.nextdoor.com; ' +
+          'dmarc=pass (p=REJECT sp=REJECT dis=NONE) header.from=nextdoor.com'
+      },
+      body: { plain: 'Hi' }
+    });
+
+    assertEqual(authentication, {
+      authservId: 'mx.google.com',
+      fromDomain: 'is.email.nextdoor.com',
+      spf: { result: 'pass', domain: 'rs.email.nextdoor.com', aligned: true },
+      dkim: {
+        result: 'pass',
+        domain: 'email.nextdoor.com',
+        aligned: true,
+        signatures: [
+          { domain: 'email.nextdoor.com', selector: 's1', result: 'pass', aligned: true },
+          { domain: 'sendgrid.info', selector: 'smtpapi', result: 'pass', aligned: false }
+        ]
+      },
+      dmarc: { result: 'pass', domain: 'nextdoor.com', policy: 'reject' },
+      arc: { result: null, instances: 1, chainValidation: 'none', sealer: 'google.com' },
+      aligned: true
+    });
+  });
+
+  await test('FeatureExtractor flags unaligned and failed authentication', async () => {
+    const extractor = new FeatureExtractor({ trustedAuthservIds: ['mx.corp.example'] });
+    const { authentication } = extractor.extractFeatures({
+      sender: 'PayPal <service@paypal.com>',
+      addresses: { from: parseAddressList('PayPal <service@paypal.com>') },
+      headers: {
+        'Authentication-Results': [
+          'mx.attacker.example; spf=pass smtp.mailfrom=paypal.com; dmarc=pass header.from=paypal.com',
+          'mx.corp.example; spf=pass smtp.mailfrom=mailer@bulk-sender.example; dkim=fail header.d=paypal.com; dmarc=fail (p=REJECT) header.from=paypal.com'
+        ],
+        'DKIM-Signature': 'v=1; a=rsa-sha256; d=paypal.com; s=pp1; b=abc'
+      },
+      body: { plain: 'Verify your account' }
+    });
+
+    partialEqual(authentication, {
+      authservId: 'mx.corp.example',
+      spf: { result: 'pass', domain: 'bulk-sender.example', aligned: false },
+      dmarc: { result: 'fail', domain: 'paypal.com', policy: 'reject' },
+      aligned: false
+    });
+    partialEqual(authentication.dkim, { result: 'fail', domain: 'paypal.com', aligned: true });
+  });
+
+  await test('FeatureExtractor falls back to Received-SPF and unverified DKIM signatures', async () => {
+    const extractor = new FeatureExtractor();
+    const { authentication } = extractor.extractFeatures({
+      sender: 'news@shop.example.co.uk',
+      headers: {
+        'received-spf': 'softfail (example.net: transitioning domain) client-ip=192.0.2.1; envelope-from="bounce@mail.example.co.uk"; helo=mail.example.co.uk;',
+        'dkim-signature': 'v=1; a=rsa-sha256; d=other.co.uk; s=sel; b=abc'
+      },
+      body: { plain: 'Sale' }
+    });
+
+    partialEqual(authentication, {
+      spf: { result: 'softfail', domain: 'mail.example.co.uk', aligned: true },
+      dkim: {
+        result: null,
+        domain: 'other.co.uk',
+        aligned: false,
+        signatures: [{ domain: 'other.co.uk', selector: 'sel', result: null, aligned: false }]
+      },
+      aligned: false
+    });
+  });
+
+  await test('FeatureExtractor doesn\'t align different domains under a second-level suffix', async () => {
+    const extractor = new FeatureExtractor();
+    const { authentication } = extractor.extractFeatures({
+      sender: 'security@bank.co.at',
+      headers: {
+        'authentication-results': 'mx.example.net; spf=pass smtp.mailfrom=evil.co.at; dkim=pass header.d=evil.co.at header.s=s1; dmarc=fail header.from=bank.co.at'
+      },
+      body: { plain: 'Verify your account' }
+    });
+    assertEqual(authentication.spf, { result: 'pass', domain: 'evil.co.at', aligned: false });
+    partialEqual(authentication.dkim, { result: 'pass', domain: 'evil.co.at', aligned: false });
+    assertEqual(authentication.aligned, false);
+
+    assertEqual(['co.at', 'com.es', 'ac.nz'].map(suffix => [
+      getRegistrableDomain(`mail.bank.${suffix}`),
+      isSameOrganization(`evil.${suffix}`, `bank.${suffix}`),
+      isSameOrganization(`mail.bank.${suffix}`, `bank.${suffix}`)
+    ]), [
+      ['bank.co.at', false, true],
+      ['bank.com.es', false, true],
+      ['bank.ac.nz', false, true]
+    ]);
+  });
+
+  await test('parseReceived parses hosts, IPs, protocol, TLS and time', async () => {
+    const hop = parseReceived(
+      'from o8.email.nextdoor.com (o8.email.nextdoor.com. [167.89.48.102])\r\n        by mx.google.com with ESMTPS id 6a1803df08f44\r\n' +
+      '        for <rllluo@gmail.com>\r\n        (version=TLS1_3 cipher=TLS_AES_128_GCM_SHA256 bits=128/128);\r\n' +
+      '        Sat, 21 Dec 2024 22:32:59 -0800 (PST)'
+    );
+    assertEqual(hop, {
+      from: { host: 'o8.email.nextdoor.com', reverseHost: 'o8.email.nextdoor.com', ip: '167.89.48.102' },
+      by: 'mx.google.com',
+      protocol: 'ESMTPS',
+      id: '6a1803df08f44',
+      for: 'rllluo@gmail.com',
+      tls: true,
+      timestamp: '2024-12-22T06:32:59.000Z'
+    });
+
+    partialEqual(parseReceived('from MTc0MDk5NQ (unknown) by geopod-ismtpd-1 (SG) with HTTP id FdCZ Sun, 22 Dec 2024 06:32:58 +0000'), {
+      from: { host: 'mtc0mdk5nq', reverseHost: null, ip: null },
+      by: 'geopod-ismtpd-1',
+      protocol: 'HTTP',
+      tls: false,
+      timestamp: null
+    });
+  });
+
+  await test('FeatureExtractor analyzes the Received chain', async () => {
+    const extractor = new FeatureExtractor();
+    const { receivedChain } = extractor.extractFeatures({
+      sender: 'a@example.com',
+      headers: {
+        received: [
+          'from mx.example.com (mx.example.com [198.51.100.7]) by inbound.example.net with ESMTPS id 3; Mon, 1 Jan 2024 10:00:30 +0000',
+          'from relay.example.com (relay.example.com [203.0.113.5]) by mx.example.com with ESMTP id 2; Mon, 1 Jan 2024 10:00:10 +0000',
+          'from laptop (unknown [192.168.1.20]) by relay.example.com with ESMTPSA id 1; Mon, 1 Jan 2024 10:00:00 +0000'
+        ]
+      },
+      body: { plain: 'Hi' }
+    });
+
+    assertEqual(receivedChain.hops.map(hop => [hop.index, hop.from.ip, hop.by, hop.delay]), [
+      [0, '192.168.1.20', 'relay.example.com', null],
+      [1, '203.0.113.5', 'mx.example.com', 10],
+      [2, '198.51.100.7', 'inbound.example.net', 20]
+    ]);
+    partialEqual(receivedChain, {
+      hopCount: 3,
+      totalDelay: 30,
+      maxDelay: 20,
+      negativeDelays: 0,
+      privateToPublic: 1,
+      publicToPrivate: 0,
+      allTls: false
+    });
+    assertEqual(receivedChain.firstExternalHop.from.ip, '203.0.113.5');
+  });
+
+  await test('parseUrl flags IP hosts, unusual ports and script schemes', async () => {
+    partialEqual(parseUrl('http://192.168.0.1:8080/login'), {
+      scheme: 'http',
+      host: '192.168.0.1',
+      port: '8080',
+      registrableDomain: '192.168.0.1',
+      ipHost: true,
+      unusualPort: true,
+      scriptScheme: false
+    });
+    partialEqual(parseUrl('https://Mail.Example.co.uk:443/x'), {
+      host: 'mail.example.co.uk',
+      port: null,
+      registrableDomain: 'example.co.uk',
+      unusualPort: false
+    });
+    partialEqual(parseUrl('javascript:alert(1)'), { scheme: 'javascript', host: null, scriptScheme: true });
+    partialEqual(parseUrl('data:text/html;base64,PGgxPg=='), { scheme: 'data', scriptScheme: true });
+    assertEqual(parseUrl('#top'), null);
+    assertEqual(parseUrl('/relative/path'), null);
+  });
+
+  await test('FeatureExtractor extracts URLs with anchor text mismatches', async () => {
+    const extractor = new FeatureExtractor();
+    const { urls } = extractor.extractFeatures({
+      sender: 'PayPal <service@paypal.com>',
+      body: {
+        html: `
+          <p>Visit <a href="https://secure.paypal.com.evil.example/login">https://www.paypal.com/signin</a>
+          or <a href="https://www.paypal.com/help"><b>paypal.com</b></a>.</p>
+          <a href="#">Top</a>
+          <form action="http://203.0.113.9:8443/collect"><input name="pw"></form>
+          <img src="https://cdn.tracker.example/p.gif?id=1&amp;u=2">
+          <p>Or copy www.example.org/path, then reply.</p>
+        `,
+        plain: 'Visit https://www.paypal.com/help or www.example.org/path.'
+      }
+    });
+
+    assertEqual(urls.map(url => [url.source, url.url]), [
+      ['a', 'https://secure.paypal.com.evil.example/login'],
+      ['a', 'https://www.paypal.com/help'],
+      ['form', 'http://203.0.113.9:8443/collect'],
+      ['img', 'https://cdn.tracker.example/p.gif?id=1&u=2'],
+      ['text', 'http://www.example.org/path']
+    ]);
+    partialEqual(urls[0], {
+      text: 'https://www.paypal.com/signin',
+      shownDomain: 'www.paypal.com',
+      registrableDomain: 'evil.example',
+      textMismatch: true,
+      senderDomain: false
+    });
+    partialEqual(urls[1], { text: 'paypal.com', shownDomain: 'paypal.com', textMismatch: false, senderDomain: true });
+    partialEqual(urls[2], { ipHost: true, unusualPort: true, text: '', shownDomain: null, textMismatch: false });
+  });
+
+  await test('scoreDomain detects homoglyphs, typos and TLD tricks', async () => {
+    const protectedDomains = ['paypal.com', 'microsoft.com'];
+    const techniques = domain => scoreDomain(domain, protectedDomains).techniques;
+
+    assertEqual(getSkeleton('rnicrosoft'), getSkeleton('microsoft'));
+    assertEqual(getSkeleton('pаypаl'), 'paypal');
+    assertEqual(getScripts('pаypal'), ['Latin', 'Cyrillic']);
+    assertEqual(getScripts('例え-test'), ['Han', 'Hiragana', 'Latin']);
+
+    partialEqual(scoreDomain('xn--pypal-4ve.com', protectedDomains), {
+      unicode: 'pаypal.com',
+      idn: true,
+      mixedScript: true,
+      protectedDomain: 'paypal.com',
+      techniques: ['homoglyph'],
+      score: 0.95
+    });
+    assertEqual(techniques('paypa1.com'), ['homoglyph']);
+    assertEqual(techniques('rnicrosoft.com'), ['homoglyph']);
+    assertEqual(techniques('paypal.co.uk'), ['tld-swap']);
+    assertEqual(techniques('pay-pal.com'), ['hyphenation']);
+    assertEqual(techniques('paypal-secure.net'), ['hyphenation']);
+    assertEqual(techniques('paypal.com.evil.example'), ['tld-added']);
+    assertEqual(techniques('paypal.evil.example'), ['subdomain']);
+    partialEqual(scoreDomain('paypl.com', protectedDomains), { techniques: ['edit-distance'], distance: 1, score: 0.8 });
+    partialEqual(scoreDomain('micorsoft.com', protectedDomains), { techniques: ['edit-distance'], distance: 1 });
+    partialEqual(scoreDomain('www.paypal.com', protectedDomains), { protected: true, protectedDomain: 'paypal.com', score: 0 });
+    partialEqual(scoreDomain('example.org', protectedDomains), { protectedDomain: null, techniques: [], score: 0 });
+  });
+
+  await test('scoreDomain uses the confusables data and scores mixed scripts', async () => {
+    const protectedDomains = ['google.com', 'paypal.com'];
+
+    assertEqual(getSkeleton('PayPaI'), 'paypal');
+    assertEqual(getSkeleton('ѕеrvісе'), 'service');
+    partialEqual(scoreDomain('gօօgle.com', protectedDomains), {
+      scripts: ['Latin', 'Armenian'],
+      mixedScript: true,
+      protectedDomain: 'google.com',
+      techniques: ['homoglyph'],
+      score: 0.95
+    });
+    // One letter off once the Armenian 'o's are mapped.
+    partialEqual(scoreDomain('gօօgel.com', protectedDomains), {
+      mixedScript: true,
+      protectedDomain: 'google.com',
+      techniques: ['mixed-script'],
+      score: 0.85
+    });
+    partialEqual(scoreDomain('googel.com', protectedDomains), { techniques: ['edit-distance'], score: 0.8 });
+    partialEqual(scoreDomain('пример.com', protectedDomains), { mixedScript: false, techniques: [], score: 0 });
+  });
+
+  await test('FeatureExtractor scores sender, reply-to and link domains', async () => {
+    const extractor = new FeatureExtractor({ protectedDomains: ['paypal.com', 'corp.example'] });
+    const { lookalikes } = extractor.extractFeatures({
+      sender: 'PayPal <service@paypa1.com>',
+      headers: { 'reply-to': 'Billing <billing@corp-example.net>' },
+      body: {
+        html: '<a href="https://www.paypal.com/x">a</a><a href="https://login.paypal.com.evil.example/">b</a>'
+      }
+    });
+
+    partialEqual(lookalikes.sender, { domain: 'paypa1.com', techniques: ['homoglyph'], protectedDomain: 'paypal.com' });
+    assertEqual(lookalikes.replyTo.map(r => [r.domain, r.protectedDomain, r.techniques]), [
+      ['corp-example.net', 'corp.example', ['hyphenation']]
+    ]);
+    assertEqual(lookalikes.links.map(l => [l.domain, l.protected, l.techniques]), [
+      ['www.paypal.com', true, []],
+      ['login.paypal.com.evil.example', false, ['tld-added']]
+    ]);
+    assertEqual(lookalikes.score, 0.95);
+  });
+
+  await test('FeatureExtractor flags display-name impersonation', async () => {
+    const extractor = new FeatureExtractor({
+      protectedDomains: ['corp.example', 'paypal.com'],
+      vips: ['Jane Doe', { name: 'John Smith', addresses: ['jsmith.home@gmail.com'] }]
+    });
+    const impersonation = sender => extractor.extractFeatures({ sender, body: { plain: '' } }).impersonation;
+
+    partialEqual(impersonation('"ceo@corp.example" <ceo.corp@evil.example>'), {
+      embeddedAddress: 'ceo@corp.example',
+      embeddedAddressMismatch: true,
+      impersonation: true
+    });
+    partialEqual(impersonation('"jane@corp.example" <Jane@corp.example>'), {
+      embeddedAddressMismatch: false,
+      impersonation: false
+    });
+    partialEqual(impersonation('"Doe, Jane (CEO)" <jane.doe@gmail.com>'), {
+      vip: 'Jane Doe',
+      vipOutsideDomain: true,
+      freemail: true,
+      impersonation: true
+    });
+    partialEqual(impersonation('Jane Doe <jane@mail.corp.example>'), { vip: 'Jane Doe', vipOutsideDomain: false });
+    partialEqual(impersonation('John Smith <jsmith.home@gmail.com>'), { vip: 'John Smith', impersonation: false });
+    partialEqual(impersonation('PayPa1 Support <help.desk@outlook.com>'), {
+      brand: 'paypal',
+      brandFromFreemail: true,
+      impersonation: true
+    });
+    partialEqual(impersonation('PayPal <service@paypal.com>'), { brand: 'paypal', brandFromFreemail: false, impersonation: false });
+    partialEqual(impersonation('Pay Pal <billing@gmail.com>'), { brand: 'paypal', brandFromFreemail: true });
+    partialEqual(impersonation('Corporate Travel <t@gmail.com>'), { brand: null, brandFromFreemail: false, impersonation: false });
+    partialEqual(impersonation('PayPalmer Lodge <stay@gmail.com>'), { brand: null, impersonation: false });
+    assertEqual(extractor.extractFeatures({ body: { plain: '' } }).impersonation, null);
+  });
+
+  await test('FeatureExtractor compares From with Sender, Reply-To, Return-Path and envelope', async () => {
+    const extractor = new FeatureExtractor();
+    const { senderConsistency } = extractor.extractFeatures({
+      sender: 'Accounts <accounts@corp.example>',
+      headers: {
+        'return-path': '<bounce-123@mailer.esp.example>',
+        sender: 'accounts@mail.corp.example',
+        'reply-to': ['"Accounts" <accounts.desk@gmail.com>', 'team@corp.example'],
+        'authentication-results': 'mx.example.net; spf=pass smtp.mailfrom=esp.example'
+      },
+      body: { plain: '' }
+    });
+
+    assertEqual(senderConsistency, {
+      fromDomain: 'corp.example',
+      sender: { address: 'accounts@mail.corp.example', domain: 'mail.corp.example', aligned: true },
+      replyTo: [
+        { address: 'accounts.desk@gmail.com', domain: 'gmail.com', aligned: false, freemail: true },
+        { address: 'team@corp.example', domain: 'corp.example', aligned: true, freemail: false }
+      ],
+      returnPath: { address: 'bounce-123@mailer.esp.example', domain: 'mailer.esp.example', aligned: false },
+      envelopeFrom: { address: 'postmaster@esp.example', domain: 'esp.example', aligned: false, source: 'authentication-results' },
+      senderMismatch: false,
+      replyToCrossDomain: true,
+      replyToFreemail: true,
+      returnPathMisaligned: true,
+      envelopeFromMisaligned: true
+    });
+
+    const aligned = extractor.extractFeatures({
+      sender: 'a@example.com',
+      headers: {
+        'return-path': '<>',
+        received: 'from mx (mx [192.0.2.1]) by mx2 (envelope-from <a@mail.example.com>); Mon, 1 Jan 2024 10:00:00 +0000'
+      },
+      body: { plain: '' }
+    }).senderConsistency;
+    assertEqual(aligned.returnPath, null);
+    assertEqual(aligned.envelopeFrom, { address: 'a@mail.example.com', domain: 'mail.example.com', aligned: true, source: 'received' });
+    assertEqual(aligned.envelopeFromMisaligned, false);
+  });
+
+  await test('FeatureExtractor profiles attachment risks from metadata', async () => {
+    const extractor = new FeatureExtractor();
+    const { attachments } = extractor.extractFeatures({
+      sender: 'a@example.com',
+      subject: 'Invoice',
+      body: { plain: 'The archive password is 1234.' },
+      attachments: [
+        { id: '1', filename: 'invoice.pdf.exe', mimeType: 'application/pdf', size: 100 },
+        { id: '2', filename: 'invoice\u202Efdp.scr', mimeType: 'application/octet-stream', size: 200 },
+        { id: '3', filename: 'report.pdf', mimeType: 'application/pdf', size: 300 },
+        { id: '4', filename: 'documents.zip', mimeType: 'application/zip', size: 400 },
+        { id: '5', filename: 'secure-message.html', mimeType: 'text/html', size: 500 },
+        { id: '6', filename: 'shipment.img', mimeType: 'application/octet-stream', size: 600 },
+        { id: '7', filename: 'photo.jpg', mimeType: 'application/x-msdownload', size: 700 },
+        { id: '8', filename: 'statement.pdf                    .js', mimeType: '', size: 800 }
+      ]
+    });
+
+    assertEqual(attachments.attachments.map(a => [a.extension, a.risks]), [
+      ['exe', ['dangerousExtension', 'doubleExtension', 'mimeMismatch']],
+      ['scr', ['dangerousExtension', 'unicodeTrick']],
+      ['pdf', []],
+      ['zip', ['passwordHint']],
+      ['html', ['htmlSmuggling']],
+      ['img', ['container']],
+      ['jpg', ['mimeMismatch']],
+      ['js', ['dangerousExtension', 'doubleExtension', 'unicodeTrick']]
+    ]);
+    assertEqual(attachments.attachments[0].extensions, ['pdf', 'exe']);
+    assertEqual(attachments.counts, {
+      total: 8,
+      risky: 7,
+      dangerousExtension: 3,
+      doubleExtension: 2,
+      unicodeTrick: 2,
+      mimeMismatch: 2,
+      contentMismatch: 0,
+      executableContent: 0,
+      archive: 1,
+      passwordHint: 1,
+      htmlSmuggling: 1,
+      container: 1,
+      totalSize: 3600
+    });
+  });
+
+  await test('sniffFileType detects types from magic bytes', async () => {
+    const bytes = text => new Uint8Array(Buffer.from(text, 'latin1'));
+    partialEqual(sniffFileType(bytes('%PDF-1.7\n')), { mimeType: 'application/pdf', executable: false });
+    partialEqual(sniffFileType(bytes('MZ\x90\x00\x03')), { mimeType: 'application/x-msdownload', executable: true });
+    partialEqual(sniffFileType(bytes('PK\x03\x04\x14\x00[Content_Types].xml...word/document.xml')), {
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+    partialEqual(sniffFileType(bytes('PK\x03\x04\x14\x00readme.txt')), { mimeType: 'application/zip' });
+    partialEqual(sniffFileType(bytes('\xef\xbb\xbf  <!DOCTYPE html><html><script>')), { mimeType: 'text/html' });
+    partialEqual(sniffFileType(bytes('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg">')), { mimeType: 'image/svg+xml' });
+    assertEqual(sniffFileType(bytes('just some text')), null);
+    assertEqual(sniffFileType(new Uint8Array(0)), null);
+  });
+
+  await test('FeatureExtractor sniffs and hashes kept attachment content', async () => {
+    const extractor = new FeatureExtractor();
+    const exe = Buffer.from('MZ\x90\x00 this program cannot be run in DOS mode', 'latin1');
+    const pdf = Buffer.from('%PDF-1.4 minimal', 'latin1');
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+    const { attachments } = extractor.extractFeatures({
+      sender: 'a@example.com',
+      body: { plain: '' },
+      attachments: [
+        { id: '1', filename: 'invoice.pdf', mimeType: 'application/pdf', size: exe.length, data: Base64.fromUint8Array(exe, true) },
+        { id: '2', filename: 'report.pdf', mimeType: 'application/pdf', size: pdf.length, data: Base64.fromUint8Array(pdf, true) },
+        { id: '3', filename: 'notes.txt', mimeType: 'text/plain', size: 10 },
+        { id: '4', filename: 'photo', mimeType: 'image/png', size: png.length, data: Base64.fromUint8Array(png, true) },
+        { id: '5', filename: 'scan', mimeType: 'application/pdf', size: exe.length, data: Base64.fromUint8Array(exe, true) }
+      ]
+    });
+
+    partialEqual(attachments.attachments[0], {
+      detectedType: 'application/x-msdownload',
+      sha256: createHash('sha256').update(exe).digest('hex'),
+      md5: createHash('md5').update(exe).digest('hex'),
+      contentMismatch: true,
+      executableContent: true,
+      risks: ['contentMismatch', 'executableContent']
+    });
+    partialEqual(attachments.attachments[1], { detectedType: 'application/pdf', contentMismatch: false, risks: [] });
+    partialEqual(attachments.attachments[2], { detectedType: null, sha256: null, md5: null, contentMismatch: false });
+    // Without an extension only the declared type is compared.
+    partialEqual(attachments.attachments[3], { extension: '', detectedType: 'image/png', contentMismatch: false, risks: [] });
+    partialEqual(attachments.attachments[4], { extension: '', contentMismatch: true });
+    partialEqual(attachments.counts, { contentMismatch: 2, executableContent: 2 });
+  });
+
+  await test('FeatureExtractor separates hidden from visible HTML text', async () => {
+    const extractor = new FeatureExtractor();
+    const { hiddenContent } = extractor.extractFeatures({
+      sender: 'a@example.com',
+      body: {
+        html: `
+          <html><head><title>Title</title><style>p { color: red }</style></head>
+          <body bgcolor="#ffffff">
+            <div style="display: none !important">preheader text</div>
+            <p>Your pass\u200Bword expires today</p>
+            <span style="font-size:0px">cheap meds</span>
+            <p style="color:#FEFEFE">white on white</p>
+            <table><tr><td style="background-color:#000"><font color="black">black on black</font></td></tr></table>
+            <div style="position:absolute; left:-9999px">off screen</div>
+            <div style="max-height:0; overflow:hidden">collapsed</div>
+            <p style="opacity:0">transparent</p>
+            <span style="color:rgba(0,0,0,0)">secret words</span>
+            <div style="background:#000">default black</div>
+            <!-- a comment -->
+            <!--[if mso]><table><tr><td><![endif]-->
+            <p style="color:white; background:#333">readable</p>
+          </body></html>
+        `
+      }
+    });
+
+    assertEqual(hiddenContent.visibleText, 'Your password expires today readable');
+    assertEqual(hiddenContent.hiddenText,
+      'preheader text cheap meds white on white black on black off screen collapsed transparent secret words ' +
+      'default black a comment');
+    assertEqual(hiddenContent.techniques, [
+      'display-none', 'zero-font-size', 'color-match', 'off-screen', 'zero-size', 'opacity', 'transparent', 'comment', 'zero-width'
+    ]);
+    assertEqual(hiddenContent.zeroWidthCharacters, 1);
+    assert(hiddenContent.hiddenRatio > 0.7 && hiddenContent.hiddenRatio < 0.8);
+  });
+
+  await test('FeatureExtractor finds credential forms and active content', async () => {
+    const extractor = new FeatureExtractor();
+    const { forms } = extractor.extractFeatures({
+      sender: 'IT Desk <it@corp.example>',
+      body: {
+        html: `
+          <head><meta http-equiv="refresh" content="5; URL='https://login.evil.example/start'"></head>
+          <form action="https://login.evil.example/collect" method="POST">
+            <input type="email" name="user">
+            <input type="password" name="pass">
+            <input type="hidden" name="token" value="x">
+            <input type="submit" value="Sign in">
+          </form>
+          <form action="https://survey.corp.example/answer"><input name="comment"></form>
+          <form action="http://198.51.100.4/pay">
+            <input name="card_number" placeholder="Card number"><input name="cvv"><input autocomplete="cc-exp">
+          </form>
+          <form><input type="text" placeholder="Email address"></form>
+          <input type="password" id="loose">
+          <script>document.forms[0].submit()</script>
+          <iframe src="https://frame.example/"></iframe>
+          <object data="x.swf"></object><embed src="y.swf">
+        `
+      }
+    });
+
+    assertEqual(forms.forms.map(f => [f.method, f.actionDomain, f.actionTarget, f.passwordFields, f.emailFields, f.cardFields, f.credentialForm]), [
+      ['post', 'evil.example', 'external', 1, 1, 0, true],
+      ['get', 'corp.example', 'sender', 0, 0, 0, false],
+      ['get', '198.51.100.4', 'ip', 0, 0, 3, true],
+      ['get', null, 'none', 0, 1, 0, false]
+    ]);
+    partialEqual(forms, {
+      passwordFields: 2,
+      emailFields: 2,
+      cardFields: 3,
+      credentialForm: true,
+      scripts: 1,
+      iframes: ['https://frame.example/'],
+      objects: 2,
+      metaRefresh: [{ delay: 5, url: 'https://login.evil.example/start', domain: 'evil.example' }]
+    });
   });
 
-  await test('FeatureExtractor should remove excess whitespace from meta context', async () => {
+  await test('FeatureExtractor inventories remote content and tracking pixels', async () => {
     const extractor = new FeatureExtractor();
-    const features = {
-      sender: '   test@example.com    ',
-      subject: '\n  Test Email     ',
-      markdown: '\n\nThis is  a **test**   email   body\n'
-    };
-    
-    const { context, truncatedContext } = extractor.extractMetaFeatures(features);
-    const expected = 'test@example.com Test Email This is a **test** email body';
-    
-    assertEqual(context, expected);
-    assertEqual(truncatedContext, expected);
+    const { remoteContent } = extractor.extractFeatures({
+      sender: 'news@shop.example',
+      body: {
+        html: `
+          <head>
+            <link rel="stylesheet" href="https://cdn.shop.example/mail.css">
+            <style>
+              @import "https://fonts.googleapis.com/css?family=Roboto";
+              @font-face { src: url('https://fonts.gstatic.com/roboto.woff2') format('woff2'); }
+            </style>
+          </head>
+          <body>
+            <table background="//img.shop.example/bg.jpg"><tr><td style="background-image: url(https://img.shop.example/hero.png)">
+              <img src="https://img.shop.example/logo.png" srcset="https://img.shop.example/logo@2x.png 2x" width="120" height="40">
+              <img src="cid:inline@shop.example">
+              <img src="data:image/gif;base64,R0lGODlh">
+            </td></tr></table>
+            <img src="https://u123.ct.sendgrid.net/wf/open?upn=abc" width="1" height="1" alt="">
+            <img src="https://track.other.example/o.gif" style="display:none">
+          </body>
+        `
+      }
+    });
+
+    assertEqual(remoteContent.resources.map(r => [r.type, r.source, r.host, r.trackingPixel, r.trackingDomain, r.thirdParty]), [
+      ['stylesheet', 'link', 'cdn.shop.example', false, false, false],
+      ['stylesheet', 'style', 'fonts.googleapis.com', false, false, true],
+      ['font', 'style', 'fonts.gstatic.com', false, false, true],
+      ['background', 'table', 'img.shop.example', false, false, false],
+      ['image', 'style', 'img.shop.example', false, false, false],
+      ['image', 'img', 'img.shop.example', false, false, false],
+      ['image', 'img', 'img.shop.example', false, false, false],
+      ['image', 'img', 'u123.ct.sendgrid.net', true, true, true],
+      ['image', 'img', 'track.other.example', true, false, true]
+    ]);
+    assertEqual(remoteContent.trackingPixels, 2);
+    assertEqual(remoteContent.trackingDomains, ['sendgrid.net']);
+    assertEqual(remoteContent.thirdPartyHosts, ['fonts.googleapis.com', 'fonts.gstatic.com', 'u123.ct.sendgrid.net', 'track.other.example']);
+    assertEqual(remoteContent.thirdPartyHostCount, 4);
   });
 
   // Before GmailPreprocessor tests
@@ -503,7 +1596,8 @@ Content-Length: 1234
     const result = await processor.process(mockEml);
     
     partialEqual(result, {
-      threadId: '',
+      id: sha256(mockEml),
+      threadId: sha256(mockEml),
       labelIds: [],
       headers: {
         From: 'sender@example.com',
@@ -520,7 +1614,7 @@ Content-Length: 1234
         id: '',
         filename: 'test.pdf',
         mimeType: 'application/pdf',
-        size: 0
+        size: 27
       }]
     });
   });
@@ -555,7 +1649,8 @@ Just a simple plain text email.`;
     const result = await processor.process(simpleEml);
     
     partialEqual(result, {
-      threadId: '',
+      id: sha256(simpleEml),
+      threadId: sha256(simpleEml),
       labelIds: [],
       headers: {
         From: 'simple@example.com',
@@ -1046,6 +2141,8 @@ ortant;padding-bottom:0 !important;padding-right:0 !important;padding-left:=
       From: 'Nextdoor <no-reply@is.email.nextdoor.com>'
     });
     partialEqual(result, {
+      id: 'FdCZyEvOTU-CRTqi9HFNLA@geopod-ismtpd-1',
+      threadId: 'FdCZyEvOTU-CRTqi9HFNLA@geopod-ismtpd-1',
       to: 'rllluo@gmail.com',
       date: '2024-12-22T06:32:58.000Z',
       sender: 'no-reply@is.email.nextdoor.com',
@@ -1054,6 +2151,44 @@ ortant;padding-bottom:0 !important;padding-right:0 !important;padding-left:=
     });
   });
 
+  await test('EMLPreprocessor derives ids from the reply chain', async () => {
+    const processor = new EMLPreprocessor();
+    const reply = `From: b@example.com
+Message-ID: <reply-2@example.com>
+In-Reply-To: <reply-1@example.com>
+References: <root@example.com>
+ <reply-1@example.com>
+Subject: Re: Re: Plans
+Content-Type: text/plain
+
+Sounds good.`;
+    const first = `From: a@example.com
+Message-Id: <reply-1@example.com>
+In-Reply-To: <root@example.com>
+Subject: Re: Plans
+Content-Type: text/plain
+
+Agreed.`;
+
+    partialEqual(await processor.process(reply), { id: 'reply-2@example.com', threadId: 'root@example.com' });
+    partialEqual(await processor.process(first), { id: 'reply-1@example.com', threadId: 'root@example.com' });
+  });
+
+  await test('EMLPreprocessor gives the same id when a message is reprocessed', async () => {
+    const processor = new EMLPreprocessor();
+    const eml = `From: a@example.com
+Subject: No Message-ID
+Content-Type: text/plain
+
+Body`;
+    const [first, second] = await Promise.all([processor.process(eml), processor.process(eml)]);
+    const other = await processor.process(eml.replace('Body', 'Other body'));
+
+    assertEqual(first.id, second.id);
+    assertEqual(first.id, sha256(eml));
+    assert(other.id !== first.id);
+  });
+
   // Before OutlookPreprocessor tests
   printTestSeparator('OutlookPreprocessor');
 
@@ -1134,11 +2269,15 @@ ortant;padding-bottom:0 !important;padding-right:0 !important;padding-left:=
       id: 'AQMkADM3OTBiYgEyLWIyZDItNDZkNS04NjdkLTFiZjk5ADFkMTk4ZDgARgAAAwFlHDrkD4pJiZdlibb1ALAHAKSjJj1boOhDj3mDLg1spJgAAAIBDAAAAKSjJj1boOhDj3mDLg1spJgAAAIBZgAAAA==',
       date: '2025-02-23T17:45:41Z',
       threadId: 'AAQkADM3OTBiYmIyLWIyZDItNDZkNS04NjdkLTFiZjk5MWQxOThkOAAQAMusGpT5TSxOtGwCXBiLzXs=',
-      labelIds: [],
+      labelIds: [
+        'AQMkADM3OTBiYgEyLWIyZDItNDZkNS04NjdkLTFiZjk5ADFkMTk4ZDgALgAAAwFlHDrkD4pJiZdlibb1ALABAKSjJj1boOhDj3mDLg1spJgAAAIBDAAAAA==',
+        'UNREAD'
+      ],
       headers: {},
       sender: 'Microsoft <microsoft-noreply@microsoft.com>',
       subject: 'Your Microsoft invoice G079480566 is ready',
       body: {
+        plain: '',
         html: `<html lang="en" style="min-height:100%; background:#ffffff"><head>\r\n' +
             '<meta http-equiv="Content-Type" content="text/html; charset=utf-8"><meta name="viewport" content="width=device-width"><meta name="eventId" content="commercial-commerce-invoice-ready"><meta name="messageId" content="2c2ac345-1385-4932-aee0-d1be0f7151ab"><meta name="cloud" content="AZ"><style id="mediaqueries">\r\n' +
             '<!--\r\n' +
@@ -1152,6 +2291,1036 @@ ortant;padding-bottom:0 !important;padding-right:0 !important;padding-left:=
     });
   });
 
+  await test('OutlookPreprocessor maps Graph headers, labels and recipients', async () => {
+    const processor = new OutlookPreprocessor({ folderNames: { folder1: 'Inbox' } });
+    const result = processor.process({
+      id: 'msg1',
+      createdDateTime: '2025-02-23T17:45:41Z',
+      receivedDateTime: '2025-02-23T17:45:42Z',
+      conversationId: 'conv1',
+      parentFolderId: 'folder1',
+      isRead: false,
+      importance: 'high',
+      flag: { flagStatus: 'flagged' },
+      categories: ['Finance'],
+      internetMessageHeaders: [
+        { name: 'Received', value: 'from a' },
+        { name: 'Authentication-Results', value: 'spf=pass' },
+        { name: 'Received', value: 'from b' }
+      ],
+      subject: 'Invoice',
+      body: { contentType: 'text', content: 'Full thread' },
+      from: { emailAddress: { name: 'Doe, Jane', address: 'jane@example.com' } },
+      toRecipients: [
+        { emailAddress: { name: 'Bob', address: 'bob@example.com' } },
+        { emailAddress: { name: 'carol@example.com', address: 'carol@example.com' } }
+      ],
+      ccRecipients: [{ emailAddress: { address: 'dave@example.com' } }],
+      bccRecipients: [],
+      replyTo: [{ emailAddress: { name: 'Billing', address: 'billing@example.net' } }]
+    });
+
+    partialEqual(result, {
+      date: '2025-02-23T17:45:42Z',
+      labelIds: ['INBOX', 'UNREAD', 'STARRED', 'IMPORTANT', 'Finance'],
+      headers: { received: ['from a', 'from b'], 'authentication-results': 'spf=pass' },
+      sender: '"Doe, Jane" <jane@example.com>',
+      to: 'Bob <bob@example.com>, carol@example.com',
+      cc: 'dave@example.com',
+      bcc: '',
+      replyTo: 'Billing <billing@example.net>',
+      body: { plain: 'Full thread', html: '' },
+      attachments: [],
+      inlineParts: {}
+    });
+  });
+
+  await test('OutlookPreprocessor handles a missing sender and uses uniqueBody', async () => {
+    const message = {
+      id: 'msg1',
+      createdDateTime: '2025-02-23T17:45:41Z',
+      body: { contentType: 'html', content: '<p>Reply</p><blockquote>Earlier</blockquote>' },
+      uniqueBody: { contentType: 'html', content: '<p>Reply</p>' }
+    };
+
+    partialEqual(new OutlookPreprocessor().process(message), {
+      sender: '',
+      body: { plain: '', html: '<p>Reply</p><blockquote>Earlier</blockquote>' }
+    });
+    partialEqual(new OutlookPreprocessor({ useUniqueBody: true }).process(message), {
+      sender: '',
+      body: { plain: '', html: '<p>Reply</p>' }
+    });
+  });
+
+  await test('OutlookPreprocessor maps expanded attachments', async () => {
+    const processor = new OutlookPreprocessor();
+    const message = {
+      id: 'msg1',
+      body: { contentType: 'html', content: '<img src="cid:logo">' },
+      hasAttachments: true,
+      attachments: [
+        {
+          '@odata.type': '#microsoft.graph.fileAttachment',
+          id: 'att1',
+          name: 'logo.png',
+          contentType: 'image/png',
+          size: 120,
+          isInline: true,
+          contentId: 'logo',
+          contentBytes: 'iVBORw0KGgo='
+        },
+        {
+          '@odata.type': '#microsoft.graph.fileAttachment',
+          id: 'att2',
+          name: 'invoice.pdf',
+          contentType: 'application/pdf',
+          size: 4096,
+          isInline: false
+        }
+      ]
+    };
+    const result = processor.process(message);
+
+    assertEqual(result.attachments, [
+      { id: 'att1', filename: 'logo.png', mimeType: 'image/png', size: 120, disposition: 'inline' },
+      { id: 'att2', filename: 'invoice.pdf', mimeType: 'application/pdf', size: 4096, disposition: 'attachment' }
+    ]);
+    assertEqual(result.inlineParts, {
+      logo: {
+        contentId: 'logo',
+        attachmentId: 'att1',
+        filename: 'logo.png',
+        mimeType: 'image/png',
+        size: 120
+      }
+    });
+
+    const kept = new OutlookPreprocessor({ keepAttachmentData: true }).process(message);
+    assertEqual(kept.inlineParts.logo.data, 'iVBORw0KGgo');
+    assertEqual(kept.attachments[0].data, 'iVBORw0KGgo');
+  });
+
+  // Before RawMimePreprocessor tests
+  printTestSeparator('RawMimePreprocessor');
+
+  const sampleMime = [
+    'From: =?UTF-8?Q?Jos=C3=A9?= <jose@example.com>',
+    'To: team@example.com',
+    'Subject: =?ISO-8859-1?Q?Caf=E9?= =?ISO-8859-1?Q?_menu?=',
+    'Date: Sun, 22 Dec 2024 06:32:58 +0000',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    'This is a multi-part message in MIME format.',
+    '--outer',
+    'Content-Type: multipart/related; boundary=inner',
+    '',
+    '--inner',
+    'Content-Type: multipart/alternative; boundary="alt"',
+    '',
+    '--alt',
+    'Content-Type: text/plain; charset=iso-8859-1',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Men=FA du caf=E9, see the=',
+    ' logo',
+    '--alt',
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Base64.encode('<p>Menú</p><img src="cid:logo@example.com">'),
+    '--alt--',
+    '--inner',
+    'Content-Type: image/png',
+    'Content-ID: <logo@example.com>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    'iVBORw0KGgo=',
+    '--inner--',
+    '--outer',
+    'Content-Type: application/pdf',
+    "Content-Disposition: attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf",
+    'Content-Transfer-Encoding: base64',
+    '',
+    'JVBERi0xLjQK',
+    '--outer--',
+    'Epilogue'
+  ].join('\r\n');
+
+  await test('RawMimePreprocessor parses nested multiparts, encodings and attachments', async () => {
+    const result = new RawMimePreprocessor().process(sampleMime);
+    assertEqual(result, {
+      id: sha256(sampleMime),
+      date: '2024-12-22T06:32:58.000Z',
+      threadId: sha256(sampleMime),
+      labelIds: [],
+      headers: {
+        from: 'José <jose@example.com>',
+        to: 'team@example.com',
+        subject: 'Café menu',
+        date: 'Sun, 22 Dec 2024 06:32:58 +0000',
+        'content-type': 'multipart/mixed; boundary="outer"'
+      },
+      headerList: [
+        { name: 'From', value: 'José <jose@example.com>' },
+        { name: 'To', value: 'team@example.com' },
+        { name: 'Subject', value: 'Café menu' },
+        { name: 'Date', value: 'Sun, 22 Dec 2024 06:32:58 +0000' },
+        { name: 'Content-Type', value: 'multipart/mixed; boundary="outer"' }
+      ],
+      sender: 'José <jose@example.com>',
+      addresses: {
+        from: [{
+          name: 'José',
+          address: 'jose@example.com',
+          local: 'jose',
+          domain: 'example.com',
+          domainAscii: 'example.com',
+          domainUnicode: 'example.com',
+          group: null
+        }],
+        sender: [],
+        to: [{
+          name: '',
+          address: 'team@example.com',
+          local: 'team',
+          domain: 'example.com',
+          domainAscii: 'example.com',
+          domainUnicode: 'example.com',
+          group: null
+        }],
+        cc: [],
+        bcc: [],
+        replyTo: []
+      },
+      subject: 'Café menu',
+      body: {
+        plain: 'Menú du café, see the logo',
+        html: '<p>Menú</p><img src="cid:logo@example.com">'
+      },
+      attachments: [
+        { id: '', filename: '', mimeType: 'image/png', size: 8, disposition: 'inline' },
+        { id: '', filename: 'résumé.pdf', mimeType: 'application/pdf', size: 9, disposition: 'attachment' }
+      ],
+      inlineParts: {
+        'logo@example.com': {
+          contentId: 'logo@example.com',
+          filename: '',
+          mimeType: 'image/png',
+          size: 8
+        }
+      },
+      decodeWarnings: []
+    });
+
+    const kept = new RawMimePreprocessor({ keepAttachmentData: true, maxAttachmentSize: 8 }).process(sampleMime);
+    assertEqual(kept.inlineParts['logo@example.com'].data, 'iVBORw0KGgo');
+    const capped = new RawMimePreprocessor({ keepAttachmentData: true, maxAttachmentSize: 7 }).process(sampleMime);
+    assertEqual(capped.inlineParts['logo@example.com'].data, undefined);
+  });
+
+  await test('Preprocessors keep attachment content behind an option and a size cap', async () => {
+    const raw = [
+      'From: a@example.com',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/plain',
+      '',
+      'Hi',
+      '--b',
+      'Content-Type: application/pdf; name="small.pdf"',
+      'Content-Disposition: attachment; filename="small.pdf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Base64.encode('%PDF-1.4 small'),
+      '--b',
+      'Content-Type: application/pdf; name="large.pdf"',
+      'Content-Disposition: attachment; filename="large.pdf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Base64.encode('%PDF-1.4 ' + 'x'.repeat(100)),
+      '--b--',
+      ''
+    ].join('\r\n');
+    const small = Base64.encode('%PDF-1.4 small', true);
+
+    const withoutOption = new RawMimePreprocessor().process(raw);
+    assertEqual(withoutOption.attachments.map(a => a.data), [undefined, undefined]);
+
+    const rawResult = new RawMimePreprocessor({ keepAttachmentData: true, maxAttachmentSize: 50 }).process(raw);
+    assertEqual(rawResult.attachments.map(a => [a.filename, a.size, a.data]), [
+      ['small.pdf', 14, small],
+      ['large.pdf', 109, undefined]
+    ]);
+
+    const emlResult = await new EMLPreprocessor({ keepAttachmentData: true, maxAttachmentSize: 50 }).process(raw);
+    assertEqual(emlResult.attachments.map(a => [a.filename, a.size, a.data]), [
+      ['small.pdf', 14, small],
+      ['large.pdf', 109, undefined]
+    ]);
+
+    const gmailResult = new GmailPreprocessor({ keepAttachmentData: true }).process({
+      data: {
+        id: '1',
+        internalDate: '1714124741000',
+        payload: {
+          headers: [],
+          parts: [{ mimeType: 'application/pdf', filename: 'small.pdf', body: { attachmentId: 'att1', size: 14, data: small } }]
+        }
+      }
+    });
+    assertEqual(gmailResult.attachments[0].data, small);
+    const gmailRawResult = new GmailPreprocessor({ keepAttachmentData: true, maxAttachmentSize: 50 })
+      .process({ data: { id: '2', raw: Base64.encode(raw, true) } });
+    assertEqual(gmailRawResult.attachments.map(a => a.data), [small, undefined]);
+
+    const outlookResult = new OutlookPreprocessor({ keepAttachmentData: true }).process({
+      body: { contentType: 'text', content: '' },
+      attachments: [{ id: 'a1', name: 'small.pdf', contentType: 'application/pdf', size: 14, contentBytes: Base64.encode('%PDF-1.4 small') }]
+    });
+    assertEqual(outlookResult.attachments[0].data, small);
+  });
+
+  await test('EMLPreprocessor keeps the exact bytes of quoted-printable attachments', async () => {
+    const eml = [
+      'From: a@example.com',
+      'Subject: Binary',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/plain',
+      '',
+      'Hi',
+      '--b',
+      'Content-Type: application/octet-stream; name="blob.bin"',
+      'Content-Disposition: attachment; filename="blob.bin"',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '=FF=FE=00=80',
+      '--b',
+      'Content-Type: image/png',
+      'Content-ID: <img1>',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'iVBORw0KGgo=',
+      '--b--',
+      ''
+    ].join('\r\n');
+
+    const result = await new EMLPreprocessor({ keepAttachmentData: true }).process(eml);
+    assertEqual(result.attachments.map(a => [a.filename, a.size, a.data]), [
+      ['blob.bin', 4, Base64.fromUint8Array(new Uint8Array([0xff, 0xfe, 0x00, 0x80]), true)],
+      ['', 8, Base64.fromUint8Array(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), true)]
+    ]);
+  });
+
+  await test('RawMimePreprocessor keeps Gmail metadata of format=raw messages', async () => {
+    const message = {
+      id: 'gmail123',
+      threadId: 'thread123',
+      labelIds: ['INBOX'],
+      internalDate: '1714124741000',
+      raw: Base64.encodeURI('From: a@example.com\nSubject: Hi\n\nHello')
+    };
+
+    partialEqual(new RawMimePreprocessor().process(message), {
+      id: 'gmail123',
+      date: '2024-04-26T09:45:41.000Z',
+      threadId: 'thread123',
+      labelIds: ['INBOX'],
+      sender: 'a@example.com',
+      body: { plain: 'Hello', html: '' }
+    });
+
+    const viaGmail = await new GmailPreprocessor().process({ data: message });
+    partialEqual(viaGmail, { id: 'gmail123', subject: 'Hi', body: { plain: 'Hello', html: '' } });
+  });
+
+  await test('RawMimePreprocessor records warnings and rewrites cid: URLs', async () => {
+    const mime = [
+      'Content-Type: multipart/related; boundary=b',
+      '',
+      '--b',
+      'Content-Type: text/html',
+      '',
+      '<p>Caf\xe9</p><img src="cid:dot">',
+      '--b',
+      'Content-Type: image/gif',
+      'Content-ID: <dot>',
+      'Content-Transfer-Encoding: base64',
+      '',
+      'R0lGODlh',
+      '--b--'
+    ].join('\n');
+
+    const result = new RawMimePreprocessor({ rewriteCidUrls: true, keepAttachmentData: true }).process(Buffer.from(mime, 'latin1'));
+    assertEqual(result.body.html, '<p>Café</p><img src="data:image/gif;base64,R0lGODlh">');
+    assertEqual(result.decodeWarnings, [{
+      partId: '0',
+      mimeType: 'text/html',
+      charset: 'windows-1252',
+      message: 'No charset declared, decoded as windows-1252'
+    }]);
+  });
+
+  await test('RawMimePreprocessor handles invalid input', async () => {
+    try {
+      new RawMimePreprocessor().process(null);
+      throw new Error('Should have thrown an error');
+    } catch (error) {
+      assert(error.message.includes('Failed to process raw email'));
+    }
+  });
+
+  // Before MailboxReader tests
+  printTestSeparator('MailboxReader');
+
+  await test('MailboxReader splits and processes an mbox file', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'aegis-mbox-'));
+    try {
+      const mbox = [
+        'From 1234@xxx Mon Jan 01 00:00:00 2024',
+        'From: first@example.com',
+        'Subject: First',
+        'Content-Type: text/plain',
+        '',
+        'Hello',
+        '>From the archive',
+        '>>From quoted',
+        '',
+        'From 5678@xxx Tue Jan 02 00:00:00 2024',
+        'From: second@example.com',
+        'Subject: Second',
+        'Content-Type: text/plain',
+        '',
+        'From here on this line is not a separator',
+        ''
+      ].join('\r\n');
+      const file = path.join(directory, 'export.mbox');
+      await writeFile(file, mbox);
+
+      const results = [];
+      for await (const result of new MailboxReader().readMbox(file)) {
+        results.push(result);
+      }
+
+      assertEqual(results.length, 2);
+      partialEqual(results[0], { index: 0, source: file, envelope: '1234@xxx Mon Jan 01 00:00:00 2024' });
+      partialEqual(results[0].email, { sender: 'first@example.com', subject: 'First' });
+      assertEqual(results[0].email.body.plain, 'Hello\r\nFrom the archive\r\n>From quoted');
+      partialEqual(results[1].email, { sender: 'second@example.com', subject: 'Second' });
+      assertEqual(results[1].email.body.plain, 'From here on this line is not a separator');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await test('MailboxReader reports per-message errors and keeps going', async () => {
+    const preprocessor = {
+      process: async eml => {
+        const text = eml.toString();
+        if (text.includes('broken')) throw new Error('Cannot parse');
+        return { subject: text.split('\n')[0] };
+      }
+    };
+    const directory = await mkdtemp(path.join(tmpdir(), 'aegis-maildir-'));
+    try {
+      await mkdir(path.join(directory, 'new'));
+      await mkdir(path.join(directory, 'cur'));
+      await mkdir(path.join(directory, 'tmp'));
+      await writeFile(path.join(directory, 'new', '2.host'), 'second');
+      await writeFile(path.join(directory, 'cur', '1.host:2,S'), 'first');
+      await writeFile(path.join(directory, 'cur', '3.host:2,'), 'broken');
+      await writeFile(path.join(directory, 'tmp', '4.host'), 'partial');
+
+      const results = [];
+      for await (const result of new MailboxReader({ preprocessor }).readMaildir(directory)) {
+        results.push(result);
+      }
+
+      assertEqual(results.map(result => path.basename(result.source)), ['2.host', '1.host:2,S', '3.host:2,']);
+      assertEqual(results[0].email, { subject: 'second' });
+      assertEqual(results[1].email, { subject: 'first' });
+      assertEqual(results[2].error.message, 'Cannot parse');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await test('MailboxReader keeps 8-bit messages in other charsets intact', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'aegis-latin1-'));
+    try {
+      const latin1 = [
+        'From: a@example.com',
+        'Subject: Menu',
+        'Content-Type: text/plain; charset=iso-8859-1',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        'Caf\xe9'
+      ].join('\r\n');
+      const utf8 = Buffer.from('From: b@example.com\r\nSubject: Menu\r\nContent-Type: text/plain; charset=utf-8\r\n\r\nCafé');
+      const file = path.join(directory, 'export.mbox');
+      await writeFile(file, Buffer.concat([
+        Buffer.from(`From 1234@xxx Mon Jan 01 00:00:00 2024\r\n${latin1}\r\n\r\nFrom 5678@xxx Tue Jan 02 00:00:00 2024\r\n`, 'latin1'),
+        utf8
+      ]));
+
+      const mbox = [];
+      for await (const result of new MailboxReader().readMbox(file)) {
+        mbox.push(result.email.body.plain);
+      }
+      assertEqual(mbox, ['Café', 'Café']);
+
+      const raw = [];
+      for await (const result of new MailboxReader({ preprocessor: new RawMimePreprocessor() }).readMbox(file)) {
+        raw.push(result.email.body.plain);
+      }
+      assertEqual(raw, ['Café', 'Café']);
+
+      const maildir = path.join(directory, 'maildir');
+      await mkdir(path.join(maildir, 'new'), { recursive: true });
+      await writeFile(path.join(maildir, 'new', '1.host'), Buffer.from(latin1, 'latin1'));
+      for (const preprocessor of [new EMLPreprocessor(), new RawMimePreprocessor()]) {
+        const results = [];
+        for await (const result of new MailboxReader({ preprocessor }).readMaildir(maildir)) {
+          results.push(result);
+        }
+        assertEqual(results.map(result => result.email.body.plain), ['Café']);
+        assertEqual(results[0].email.subject, 'Menu');
+      }
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  // Before address parsing tests
+  printTestSeparator('parseAddressList');
+
+  await test('parseAddressList parses names, quoting and comments', async () => {
+    const addresses = parseAddressList(
+      '"Doe, Jane" <Jane.Doe@Example.COM>, bob@example.com (Bob Smith), <carol@example.com>, =?UTF-8?B?SsO2cmc=?= <jorg@example.de>'
+    );
+    assertEqual(addresses.map(a => [a.name, a.address, a.local, a.domain]), [
+      ['Doe, Jane', 'Jane.Doe@example.com', 'Jane.Doe', 'example.com'],
+      ['Bob Smith', 'bob@example.com', 'bob', 'example.com'],
+      ['', 'carol@example.com', 'carol', 'example.com'],
+      ['Jörg', 'jorg@example.de', 'jorg', 'example.de']
+    ]);
+  });
+
+  await test('parseAddressList handles groups and international domains', async () => {
+    const addresses = parseAddressList('Team: alice@xn--bcher-kva.example, "Bob" <bob@bücher.example>;, undisclosed-recipients:;');
+    assertEqual(addresses, [
+      {
+        name: '',
+        address: 'alice@xn--bcher-kva.example',
+        local: 'alice',
+        domain: 'xn--bcher-kva.example',
+        domainAscii: 'xn--bcher-kva.example',
+        domainUnicode: 'bücher.example',
+        group: 'Team'
+      },
+      {
+        name: 'Bob',
+        address: 'bob@bücher.example',
+        local: 'bob',
+        domain: 'bücher.example',
+        domainAscii: 'xn--bcher-kva.example',
+        domainUnicode: 'bücher.example',
+        group: 'Team'
+      }
+    ]);
+    assertEqual(parseAddressList(''), []);
+    assertEqual(parseAddressList(undefined), []);
+  });
+
+  await test('Preprocessors fill the address model the same way', async () => {
+    const headers = [
+      { name: 'From', value: 'Jane Doe <jane@example.com>' },
+      { name: 'To', value: 'bob@example.com, Carol <carol@example.com>' },
+      { name: 'Reply-To', value: 'billing@example.net' }
+    ];
+    const gmail = await new GmailPreprocessor().process({
+      data: { id: '1', internalDate: '1714124741000', payload: { headers } }
+    });
+    const eml = await new EMLPreprocessor().process(
+      headers.map(h => `${h.name}: ${h.value}`).join('\n') + '\nContent-Type: text/plain\n\nHi'
+    );
+    const outlook = new OutlookPreprocessor().process({
+      body: { contentType: 'text', content: 'Hi' },
+      from: { emailAddress: { name: 'Jane Doe', address: 'jane@example.com' } },
+      toRecipients: [
+        { emailAddress: { name: 'bob@example.com', address: 'bob@example.com' } },
+        { emailAddress: { name: 'Carol', address: 'carol@example.com' } }
+      ],
+      replyTo: [{ emailAddress: { address: 'billing@example.net' } }]
+    });
+
+    assertEqual(eml.addresses, gmail.addresses);
+    assertEqual(outlook.addresses, gmail.addresses);
+    assertEqual(gmail.addresses.to.map(a => a.address), ['bob@example.com', 'carol@example.com']);
+    assertEqual(gmail.sender, 'Jane Doe <jane@example.com>');
+    assertEqual(eml.sender, 'jane@example.com');
+  });
+
+  // Before HeaderList tests
+  printTestSeparator('HeaderList');
+
+  await test('HeaderList keeps order and repeats with case-insensitive lookup', async () => {
+    const headerList = new HeaderList([
+      { name: 'Received', value: 'from b' },
+      { name: 'Subject', value: 'Hi' },
+      { name: 'RECEIVED', value: 'from a' }
+    ]);
+
+    assertEqual(headerList.get('received'), 'from b');
+    assertEqual(headerList.getAll('Received'), ['from b', 'from a']);
+    assert(headerList.has('SUBJECT'));
+    assert(!headerList.has('From'));
+    assertEqual(headerList.get('From'), undefined);
+    assertEqual(headerList.getAll('From'), []);
+    assertEqual(headerList.length, 3);
+    assertEqual(headerList.toObject(), { received: ['from b', 'from a'], subject: 'Hi' });
+    assertEqual([...headerList].map(h => h.name), ['Received', 'Subject', 'RECEIVED']);
+    assertEqual(HeaderList.fromObject({ Received: ['x', 'y'], To: 'z' }).getAll('received'), ['x', 'y']);
+  });
+
+  await test('Every preprocessor exposes a HeaderList', async () => {
+    const headers = [
+      { name: 'Received', value: 'from b by c' },
+      { name: 'From', value: 'a@example.com' },
+      { name: 'Received', value: 'from a by b' }
+    ];
+    const gmail = await new GmailPreprocessor().process({
+      data: { id: '1', internalDate: '1714124741000', payload: { headers } }
+    });
+    const eml = await new EMLPreprocessor().process(
+      headers.map(h => `${h.name}: ${h.value}`).join('\n') + '\nContent-Type: text/plain\n\nHi'
+    );
+    const raw = new RawMimePreprocessor().process(headers.map(h => `${h.name}: ${h.value}`).join('\r\n') + '\r\n\r\nHi');
+    const outlook = new OutlookPreprocessor().process({
+      body: { contentType: 'text', content: 'Hi' },
+      internetMessageHeaders: headers
+    });
+
+    [gmail, eml, raw, outlook].forEach(email => {
+      assert(email.headerList instanceof HeaderList);
+      assertEqual(email.headerList.getAll('received'), ['from b by c', 'from a by b']);
+      assertEqual(email.headerList.get('FROM'), 'a@example.com');
+      assertEqual(email.headerList.toObject().received, ['from b by c', 'from a by b']);
+    });
+    assertEqual(gmail.headers.received, ['from b by c', 'from a by b']);
+    // EML keeps eml-parse-js' own header names in the flat object.
+    assertEqual(eml.headers.From, 'a@example.com');
+    assertEqual(outlook.headers, { received: ['from b by c', 'from a by b'], from: 'a@example.com' });
+  });
+
+  printTestSeparator('redact');
+
+  // A token-classification pipeline labelling words from a table; a list of [piece, label] stands for word pieces.
+  const fakeNer = (labels, tokenizer) => {
+    const ner = async text => {
+      ner.calls.push(text);
+      return text.match(/\w+|[^\s\w]/g).flatMap(word => {
+        const pieces = Array.isArray(labels[word]) ? labels[word] : [[word, labels[word] || 'O']];
+        return pieces.map(([piece, entity]) => ({ entity, score: 0.99, index: 0, word: piece }));
+      });
+    };
+    ner.calls = [];
+    ner.tokenizer = tokenizer;
+    return ner;
+  };
+  const nerLabels = {
+    Angela: 'B-PER',
+    Merkel: [['Me', 'I-PER'], ['##rk', 'I-PER'], ['##el', 'I-PER']],
+    Acme: 'B-ORG',
+    Corp: 'I-ORG',
+    Berlin: 'B-LOC'
+  };
+
+  await test('redact replaces named entities and patterns with typed placeholders', async () => {
+    const text = 'Angela Merkel from Acme Corp in Berlin wrote to angela.m@mail.example.com. Call +49 30 1234567, ' +
+      'IBAN DE89 3704 0044 0532 0130 00, card 4111 1111 1111 1111. Angela Merkel again on 2024-01-15, ref 4111 1111 1111 1112.';
+    const result = await redact(text, { ner: fakeNer(nerLabels) });
+
+    assertEqual(result.text, '[PERSON_1] from [ORGANIZATION_1] in [LOCATION_1] wrote to [EMAIL_1]. Call [PHONE_1], ' +
+      'IBAN [IBAN_1], card [CARD_1]. [PERSON_1] again on 2024-01-15, ref 4111 1111 1111 1112.');
+    assertEqual(result.spans.map(span => [span.type, span.text, span.placeholder]), [
+      ['person', 'Angela Merkel', '[PERSON_1]'],
+      ['organization', 'Acme Corp', '[ORGANIZATION_1]'],
+      ['location', 'Berlin', '[LOCATION_1]'],
+      ['email', 'angela.m@mail.example.com', '[EMAIL_1]'],
+      ['phone', '+49 30 1234567', '[PHONE_1]'],
+      ['iban', 'DE89 3704 0044 0532 0130 00', '[IBAN_1]'],
+      ['card', '4111 1111 1111 1111', '[CARD_1]'],
+      ['person', 'Angela Merkel', '[PERSON_1]']
+    ]);
+    result.spans.forEach(span => assertEqual(text.slice(span.start, span.end), span.text));
+  });
+
+  await test('redact runs long text through the model in pieces', async () => {
+    const ner = fakeNer(nerLabels, { ...wordTokenizer, model_max_length: 6 });
+    const text = 'We met Angela in Berlin\n  and then flew to Acme Corp';
+    const result = await redact(text, { ner, types: ['person', 'organization', 'location'] });
+
+    assertEqual(ner.calls, ['We met Angela in', 'Berlin\n  and then flew', 'to Acme Corp']);
+    assertEqual(result.text, 'We met [PERSON_1] in [LOCATION_1]\n  and then flew to [ORGANIZATION_1]');
+    result.spans.forEach(span => assertEqual(text.slice(span.start, span.end), span.text));
+  });
+
+  await test('redact redacts the markdown and context of an email consistently', async () => {
+    const features = new FeatureExtractor().extract({
+      sender: 'bob@example.com',
+      subject: 'Call me',
+      body: { plain: 'Reach bob@example.com or alice@example.com on 020 7946 0018' }
+    });
+    const result = await redact(features, { types: ['email', 'phone'] });
+    assertEqual(result.markdown.text, 'Reach [EMAIL_1] or [EMAIL_2] on [PHONE_1]');
+    assertEqual(result.context.text, '[EMAIL_1] Call me Reach [EMAIL_1] or [EMAIL_2] on [PHONE_1]');
+    assertEqual(result.truncatedContext.text, result.context.text);
+    assertEqual(result.context.spans.map(span => span.start), [0, 30, 49, 70]);
+
+    const fromEmail = await redact({ sender: 'bob@example.com', subject: 'Hi', body: { plain: 'Hello' } }, { types: ['email'] });
+    assertEqual(fromEmail.context.text, '[EMAIL_1] Hi Hello');
+  });
+
+  printTestSeparator('classify');
+
+  await test('classify scores phishing, spam and ham zero-shot', async () => {
+    const calls = [];
+    const classifier = async (text, phrases, options) => {
+      calls.push([text, phrases, options]);
+      return { sequence: text, labels: ['a phishing attempt', 'spam', 'a legitimate message'], scores: [0.6, 0.3, 0.1] };
+    };
+    const features = new FeatureExtractor().extract({
+      sender: 'it@examp1e.com',
+      subject: 'Password expiry',
+      body: { plain: 'Confirm your password today' }
+    });
+
+    const result = await classify(features, { classifier });
+    assertEqual(calls, [[
+      'it@examp1e.com Password expiry Confirm your password today',
+      ['a phishing attempt', 'spam', 'a legitimate message'],
+      { hypothesis_template: 'This email is {}.' }
+    ]]);
+    assertEqual(result.model, 'Xenova/mobilebert-uncased-mnli');
+    assertEqual(result.label, 'phishing');
+    assertEqual(Object.keys(result.probabilities), ['phishing', 'spam', 'ham']);
+    assert(Math.abs(result.probabilities.phishing - 0.6) < 1e-9);
+
+    // A temperature above 1 softens the distribution.
+    const softened = await classify('Confirm your password today', { classifier, temperature: 2 });
+    assert(softened.probabilities.phishing < 0.6 && softened.probabilities.ham > 0.1);
+    const sum = Object.values(softened.probabilities).reduce((a, b) => a + b, 0);
+    assert(Math.abs(sum - 1) < 1e-9);
+  });
+
+  await test('classify leaves room for the zero-shot hypothesis', async () => {
+    const tokenizer = { ...wordTokenizer, model_max_length: 12 };
+    const inputs = [];
+    const classifier = async (text, phrases, { hypothesis_template }) => {
+      phrases.forEach(phrase => {
+        const length = tokenizer.encode(text, hypothesis_template.replace('{}', phrase)).length;
+        if (length > 12) throw new Error(`Input of ${length} tokens for "${phrase}"`);
+      });
+      inputs.push(text);
+      return { sequence: text, labels: phrases, scores: [0.5, 0.3, 0.2] };
+    };
+    classifier.tokenizer = tokenizer;
+
+    // "This email is a legitimate message." takes 6 tokens and its [SEP] one more, leaving 3 for the context.
+    await classify({ sender: 'a@example.com', subject: 'Hi', body: { plain: words(20) } }, { classifier });
+    await classify(words(20), { classifier });
+    const windows = await classify({ sender: 'a@example.com', subject: 'Hi', body: { plain: words(6) } }, {
+      classifier,
+      truncation: { strategy: 'sliding-window', stride: 1 }
+    });
+    assertEqual(inputs, ['a@example.com Hi w0', 'w0 w1 w2', 'a@example.com Hi w0', 'w0 w1 w2', 'w2 w3 w4', 'w4 w5']);
+    assertEqual(windows.chunks.length, 4);
+  });
+
+  await test('classify maps text-classification labels and averages chunks', async () => {
+    const classifier = async (text, options) => {
+      assertEqual(options, { topk: 0 });
+      return text.includes('w2')
+        ? [{ label: 'LABEL_1', score: 0.8 }, { label: 'Spam', score: 0.15 }, { label: 'LABEL_0', score: 0.05 }]
+        : [{ label: 'LABEL_0', score: 0.7 }, { label: 'Spam', score: 0.2 }, { label: 'LABEL_1', score: 0.1 }];
+    };
+    classifier.tokenizer = { ...wordTokenizer, model_max_length: 6 };
+
+    const result = await classify({ sender: 'a@example.com', subject: 'Hi', body: { plain: words(6) } }, {
+      task: 'text-classification',
+      model: 'acme/phishing-bert',
+      classifier,
+      labelMap: { LABEL_0: 'ham', LABEL_1: 'phishing' },
+      truncation: { strategy: 'sliding-window', stride: 1 }
+    });
+    assertEqual(result.chunks.length, 3);
+    assertEqual(result.chunks.map(chunk => chunk.probabilities.phishing > 0.5), [false, true, false]);
+    assert(Math.abs(result.probabilities.ham - (0.7 + 0.05 + 0.7) / 3) < 1e-9);
+    assertEqual(result.label, 'ham');
+    assertEqual(result.task, 'text-classification');
+    assertEqual(result.model, 'acme/phishing-bert');
+  });
+
+  printTestSeparator('embed');
+
+  await test('embed embeds subject, body and context of emails in batches', async () => {
+    const calls = [];
+    // Two-dimensional "embeddings": the number of words and of characters.
+    const embedder = async (texts, options) => {
+      calls.push([texts, options]);
+      return { tolist: () => texts.map(text => [text.split(' ').length, text.length]) };
+    };
+    const emails = [
+      { sender: 'a@example.com', subject: 'Invoice due', body: { plain: 'Please pay\n\nthe invoice' } },
+      { sender: 'b@example.com', subject: '', body: { plain: 'Hello' } }
+    ];
+
+    const results = await embed(emails, { embedder, batchSize: 2, pooling: 'cls' });
+    assertEqual(calls, [
+      [['Invoice due', 'Please pay the invoice'], { pooling: 'cls', normalize: true }],
+      [['a@example.com Invoice due Please pay the invoice', 'Hello'], { pooling: 'cls', normalize: true }],
+      [['b@example.com Hello'], { pooling: 'cls', normalize: true }]
+    ]);
+    assertEqual(results, [
+      { model: 'Xenova/all-MiniLM-L6-v2', pooling: 'cls', normalize: true, subject: [2, 11], body: [4, 22], context: [7, 48] },
+      { model: 'Xenova/all-MiniLM-L6-v2', pooling: 'cls', normalize: true, subject: null, body: [1, 5], context: [2, 19] }
+    ]);
+
+    const single = await embed(new FeatureExtractor().extract(emails[1]), { embedder, normalize: false });
+    assertEqual(single.body, [1, 5]);
+    assertEqual(calls[calls.length - 1][1], { pooling: 'mean', normalize: false });
+  });
+
+  await test('cosineSimilarity compares embeddings', async () => {
+    assertEqual(cosineSimilarity([1, 0], [2, 0]), 1);
+    assertEqual(cosineSimilarity([1, 0], [0, 3]), 0);
+    assertEqual(cosineSimilarity([1, 1], [-1, -1]), -1);
+    assertEqual(cosineSimilarity([0, 0], [1, 1]), 0);
+  });
+
+  printTestSeparator('ModelManager');
+
+  await test('ModelManager reports missing model files when offline', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'aegis-models-'));
+    try {
+      const modelDirectory = path.join(directory, 'Xenova', 'bert-base-NER');
+      await mkdir(path.join(modelDirectory, 'onnx'), { recursive: true });
+      await writeFile(path.join(modelDirectory, 'config.json'), '{}');
+      await writeFile(path.join(modelDirectory, 'tokenizer.json'), '{}');
+      const loads = [];
+      const manager = new ModelManager({
+        localModelPath: directory,
+        offline: true,
+        loadPipeline: async (...args) => loads.push(args)
+      });
+
+      try {
+        await manager.getPipeline('token-classification', 'Xenova/bert-base-NER');
+        throw new Error('Should have thrown an error');
+      } catch (error) {
+        assert(error instanceof ModelFilesMissingError);
+        assertEqual(error.missing, ['tokenizer_config.json', 'onnx/model_quantized.onnx']);
+        assertEqual(error.directory, modelDirectory);
+        assert(error.message.includes('tokenizer_config.json, onnx/model_quantized.onnx'));
+      }
+      assertEqual(manager.getMissingFiles('Xenova/bert-base-NER', { tokenizerOnly: true }), ['tokenizer_config.json']);
+
+      await writeFile(path.join(modelDirectory, 'tokenizer_config.json'), '{}');
+      await writeFile(path.join(modelDirectory, 'onnx', 'model_quantized.onnx'), '');
+      await manager.getPipeline('token-classification', 'Xenova/bert-base-NER');
+      assertEqual(loads, [['token-classification', 'Xenova/bert-base-NER', {
+        quantized: true,
+        local_files_only: true,
+        cache_dir: null,
+        model_file_name: null
+      }]]);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await test('ModelManager shares, warms up and disposes pipelines', async () => {
+    const loads = [];
+    const disposed = [];
+    const manager = new ModelManager({
+      loadPipeline: async (task, model) => {
+        loads.push(`${task} ${model}`);
+        const loaded = async input => {
+          loaded.inputs.push(input);
+          return [];
+        };
+        loaded.inputs = [];
+        loaded.dispose = async () => disposed.push(`${task} ${model}`);
+        return loaded;
+      },
+      loadTokenizer: async model => ({ model, encode: () => [], decode: () => '' })
+    });
+
+    const [first, second] = await Promise.all([
+      manager.getPipeline('token-classification', 'a/ner'),
+      manager.getPipeline('token-classification', 'a/ner')
+    ]);
+    assert(first === second);
+    const classifier = await manager.warmUp('text-classification', 'a/classifier');
+    assertEqual(classifier.inputs, ['Warm-up']);
+    assertEqual(loads, ['token-classification a/ner', 'text-classification a/classifier']);
+
+    const extractor = new FeatureExtractor({ tokenizerModel: 'a/ner', models: manager });
+    const email = { sender: 'a@example.com', subject: 'Hi', body: { plain: 'Hello' } };
+    try {
+      extractor.extract(email);
+      throw new Error('Should have thrown an error');
+    } catch (error) {
+      assert(error.message.includes('Tokenizer of "a/ner" is not loaded'));
+    }
+    assertEqual((await extractor.loadTokenizer()).model, 'a/ner');
+    assertEqual(extractor.extract(email).tokens.count, 0);
+    assert(await manager.getTokenizer('a/ner') === extractor.tokenizer);
+
+    await manager.dispose('text-classification');
+    assertEqual(disposed, ['text-classification a/classifier']);
+    await manager.getPipeline('text-classification', 'a/classifier');
+    assertEqual(loads.length, 3);
+    await manager.dispose();
+    assertEqual(disposed, ['text-classification a/classifier', 'token-classification a/ner', 'text-classification a/classifier']);
+    assertEqual(manager.loaded.size, 0);
+  });
+
+  await test('ModelManager retries a load that failed', async () => {
+    let attempts = 0;
+    const manager = new ModelManager({
+      loadPipeline: async () => {
+        if (++attempts === 1) throw new Error('network down');
+        return 'pipeline';
+      }
+    });
+    try {
+      await manager.getPipeline('feature-extraction', 'a/embedder');
+      throw new Error('Should have thrown an error');
+    } catch (error) {
+      assertEqual(error.message, 'network down');
+    }
+    assertEqual(await manager.getPipeline('feature-extraction', 'a/embedder'), 'pipeline');
+    assertEqual(attempts, 2);
+  });
+
+  printTestSeparator('RuleEngine');
+
+  const ruleFeatures = {
+    subject: 'URGENT: verify your account',
+    senderConsistency: { replyToFreemail: true, replyTo: [{ address: 'helpdesk@gmail.com', domain: 'gmail.com' }] },
+    urls: [
+      { host: 'example.com', ipHost: false },
+      { host: '203.0.113.7', ipHost: true }
+    ],
+    lookalikes: { score: 0.95 },
+    attachments: { counts: { total: 0 } },
+    forms: { credentialForm: false, iframes: [] },
+    hiddenContent: { techniques: ['display-none', 'zero-width'] }
+  };
+
+  await test('RuleEngine evaluates YAML rules with combinators and reports evidence', async () => {
+    const engine = RuleEngine.fromText(`
+rules:
+  - id: freemail-reply-urgent
+    score: 30
+    reason: Urgent request answered through a freemail mailbox
+    when:
+      all:
+        - { field: senderConsistency.replyToFreemail, equals: true }
+        - { field: subject, regex: "urgent|immediately", flags: i }
+  - id: ip-link
+    score: 20
+    reason: Links straight to an IP address
+    when: { field: urls.*.ipHost, equals: true }
+  - id: lookalike-or-hidden
+    score: 40
+    reason: Lookalike domain or hidden text
+    when:
+      any:
+        - { field: lookalikes.score, gte: 0.8 }
+        - { field: hiddenContent.techniques, in: [color-match, zero-font-size] }
+  - id: no-attachments-no-forms
+    score: 1
+    reason: Nothing to open
+    when:
+      all:
+        - { field: attachments.counts.total, equals: 0 }
+        - not: { field: forms.credentialForm, equals: true }
+        - { field: forms.iframes, exists: false }
+  - id: disabled
+    enabled: false
+    when: { field: subject, exists: true }
+`);
+    const result = engine.evaluate(ruleFeatures);
+    assertEqual(result.score, 91);
+    assertEqual(result.matches, [
+      {
+        id: 'freemail-reply-urgent',
+        score: 30,
+        reason: 'Urgent request answered through a freemail mailbox',
+        evidence: [
+          { field: 'senderConsistency.replyToFreemail', value: true },
+          { field: 'subject', value: 'URGENT: verify your account' }
+        ]
+      },
+      { id: 'ip-link', score: 20, reason: 'Links straight to an IP address', evidence: [{ field: 'urls.*.ipHost', value: true }] },
+      { id: 'lookalike-or-hidden', score: 40, reason: 'Lookalike domain or hidden text', evidence: [{ field: 'lookalikes.score', value: 0.95 }] },
+      {
+        id: 'no-attachments-no-forms',
+        score: 1,
+        reason: 'Nothing to open',
+        evidence: [{ field: 'attachments.counts.total', value: 0 }]
+      }
+    ]);
+  });
+
+  await test('RuleEngine matches headers, arrays and JSON rules', async () => {
+    const engine = RuleEngine.fromText(JSON.stringify([
+      { id: 'x-mailer', score: 5, reason: 'Bulk mailer', when: { field: 'headers.x-mailer', contains: 'PHPMailer' } },
+      { id: 'zero-width', score: 10, reason: 'Zero-width characters', when: { field: 'hiddenContent.techniques', contains: 'zero-width' } },
+      { id: 'reply-domain', score: 15, reason: 'Replies to gmail', when: { field: 'senderConsistency.replyTo.*.domain', in: ['gmail.com'] } },
+      { id: 'many-links', score: 3, reason: 'Many links', when: { field: 'urls.length', gt: 5 } }
+    ]));
+    const email = {
+      headerList: new HeaderList([
+        { name: 'X-Mailer', value: 'Outlook' },
+        { name: 'X-Mailer', value: 'PHPMailer 6.0' }
+      ])
+    };
+    const result = engine.evaluate(ruleFeatures, email);
+    assertEqual(result.matches.map(match => [match.id, match.evidence]), [
+      ['x-mailer', [{ field: 'headers.x-mailer', value: 'PHPMailer 6.0' }]],
+      ['zero-width', [{ field: 'hiddenContent.techniques', value: ['display-none', 'zero-width'] }]],
+      ['reply-domain', [{ field: 'senderConsistency.replyTo.*.domain', value: 'gmail.com' }]]
+    ]);
+    assertEqual(result.score, 30);
+    assertEqual(engine.evaluate(ruleFeatures, { headers: { 'x-mailer': 'PHPMailer' } }).matches[0].id, 'x-mailer');
+  });
+
+  await test('RuleEngine rejects malformed rules', async () => {
+    const rejects = (rules, message) => {
+      try {
+        new RuleEngine(rules);
+        throw new Error('Should have thrown an error');
+      } catch (error) {
+        assert(error.message.includes(message));
+      }
+    };
+    rejects({}, 'Rules must be a list');
+    rejects([{ when: { field: 'subject', exists: true } }], 'Rule without id');
+    rejects([{ id: 'a', when: { field: 'subject', exists: true } }, { id: 'a', when: { field: 'subject', exists: true } }], 'Duplicate rule id "a"');
+    rejects([{ id: 'b', when: { field: 'subject' } }], 'Rule "b": subject needs exactly one of');
+    rejects([{ id: 'c', when: { field: 'subject', regex: '(' } }], 'Rule "c": invalid regex for subject');
+    rejects([{ id: 'd', when: { field: 'lookalikes.score', gt: 'high' } }], 'Rule "d": gt needs a number');
+    rejects([{ id: 'e', when: { any: { field: 'subject', exists: true } } }], 'Rule "e": any must be a list');
+    rejects([{ id: 'f', when: { equals: 1 } }], 'Rule "f": a condition needs a field');
+  });
+
   // Print test summary
   console.log(`\nTest Summary: ${passedTests}/${totalTests} tests passed`);
 };
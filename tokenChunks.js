@@ -0,0 +1,83 @@
+const DEFAULT_MAX_TOKENS = 512;
+const DEFAULT_STRIDE = 64;
+
+/**
+ * Splits text into pieces that fit a transformer model's input, counting tokens with the model's
+ * own tokenizer rather than characters
+ * @param {Object} tokenizer - A @xenova/transformers tokenizer, or anything with the same encode(text, textPair,
+ *   { add_special_tokens }) and decode(ids, { skip_special_tokens }) methods
+ * @param {string} text - Text to split
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxTokens] - Model input size, special tokens included. Defaults to the tokenizer's
+ *   model_max_length, or 512.
+ * @param {string} [options.strategy] - 'head' keeps the start, 'head-tail' the start and the end (where
+ *   signatures, links and calls to action often are), 'sliding-window' covers the whole text in overlapping
+ *   chunks. Defaults to 'head'.
+ * @param {number} [options.headTokens] - Tokens kept from the start with 'head-tail', a quarter of the budget by default
+ * @param {number} [options.stride] - Tokens shared by consecutive chunks with 'sliding-window', 64 by default
+ * @returns {Object} { count, maxTokens, strategy, truncated, text, chunks }. count is the number of text tokens,
+ *   text the truncated text (the first chunk for 'sliding-window') and chunks lists { index, tokenStart, tokenEnd,
+ *   text } with token offsets into the text tokens, tokenEnd exclusive.
+ */
+function chunkText(tokenizer, text, options = {}) {
+  const strategy = options.strategy || 'head';
+  if (!['head', 'head-tail', 'sliding-window'].includes(strategy)) {
+    throw new Error(`Unknown truncation strategy "${strategy}"`);
+  }
+  const maxTokens = options.maxTokens || getModelMaxLength(tokenizer);
+  // [CLS] and [SEP] or their equivalents take part of the budget.
+  const specialTokens = tokenizer.encode('').length;
+  const budget = Math.max(1, maxTokens - specialTokens);
+  const ids = text ? tokenizer.encode(text, null, { add_special_tokens: false }) : [];
+  const decode = slice => (slice.length ? tokenizer.decode(slice, { skip_special_tokens: true }) : '');
+  const chunk = (index, tokenStart, tokenEnd) => ({
+    index,
+    tokenStart,
+    tokenEnd,
+    text: decode(ids.slice(tokenStart, tokenEnd))
+  });
+
+  const chunks = [];
+  if (ids.length <= budget) {
+    chunks.push(chunk(0, 0, ids.length));
+  } else if (strategy === 'head') {
+    chunks.push(chunk(0, 0, budget));
+  } else if (strategy === 'head-tail') {
+    const headTokens = Math.min(options.headTokens ?? Math.floor(budget / 4), budget);
+    chunks.push(chunk(0, 0, headTokens));
+    if (headTokens < budget) chunks.push(chunk(1, ids.length - (budget - headTokens), ids.length));
+  } else {
+    const stride = Math.min(options.stride ?? DEFAULT_STRIDE, budget - 1);
+    for (let start = 0; ; start += budget - stride) {
+      const end = Math.min(start + budget, ids.length);
+      chunks.push(chunk(chunks.length, start, end));
+      if (end === ids.length) break;
+    }
+  }
+
+  return {
+    count: ids.length,
+    maxTokens,
+    strategy,
+    truncated: ids.length > budget,
+    // head-tail is one model input made of both ends.
+    text: strategy === 'head-tail' ? chunks.map(c => c.text).join(' ') : chunks[0].text,
+    chunks
+  };
+}
+
+/**
+ * The input size of a tokenizer's model, in tokens
+ * @param {Object} tokenizer - A @xenova/transformers tokenizer
+ * @returns {number} model_max_length, or 512 when the tokenizer reports no usable limit
+ */
+function getModelMaxLength(tokenizer) {
+  // Tokenizers without a limit report a huge sentinel value.
+  const length = tokenizer.model_max_length;
+  return Number.isInteger(length) && length > 0 && length <= 100000 ? length : DEFAULT_MAX_TOKENS;
+}
+
+export {
+  chunkText,
+  getModelMaxLength
+};
@@ -0,0 +1,140 @@
+import { isIP } from 'node:net';
+import * as htmlparser2 from 'htmlparser2';
+import { getRegistrableDomain, isSameOrganization, normalizeHost } from './domains.js';
+
+// Where URLs live in HTML: tag name to the attribute holding the URL.
+const URL_ATTRIBUTES = {
+  a: 'href',
+  area: 'href',
+  form: 'action',
+  img: 'src'
+};
+
+const DEFAULT_PORTS = ['80', '443'];
+const SCRIPT_SCHEMES = ['data', 'javascript', 'vbscript'];
+
+// Bare URLs in text: an explicit scheme or a www. prefix.
+const TEXT_URL = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/giu;
+// A domain written out in link text, e.g. "https://www.example.com/login" or "example.com".
+const SHOWN_URL = /^(?:[a-z][a-z0-9+.-]*:\/\/)?((?:[\p{L}\p{N}](?:[\p{L}\p{N}-]*[\p{L}\p{N}])?\.)+\p{L}{2,}|\d{1,3}(?:\.\d{1,3}){3})(?::\d+)?(?:[/?#]\S*)?$/iu;
+
+/**
+ * Parses a URL and derives the features used to judge it
+ * @param {string} value - URL as written in the email
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.text] - Visible text of the link, compared against the real domain
+ * @param {string} [options.senderDomain] - Domain of the From address
+ * @returns {Object|null} { url, scheme, host, port, path, registrableDomain, text, shownDomain, textMismatch,
+ *   ipHost, unusualPort, scriptScheme, senderDomain }, or null for relative and unparsable URLs
+ */
+function parseUrl(value, options = {}) {
+  const trimmed = (value || '').trim();
+  let url;
+  try {
+    url = new URL(/^www\./i.test(trimmed) ? `http://${trimmed}` : trimmed);
+  } catch {
+    return null;
+  }
+
+  const scheme = url.protocol.slice(0, -1).toLowerCase();
+  const host = normalizeHost(url.hostname);
+  const registrableDomain = host ? getRegistrableDomain(host) : null;
+  const text = (options.text || '').replace(/\s+/g, ' ').trim();
+  const shownDomain = getShownDomain(text);
+
+  return {
+    url: url.href,
+    scheme,
+    host: host || null,
+    port: url.port || null,
+    path: host ? url.pathname : null,
+    registrableDomain,
+    text,
+    shownDomain,
+    // The link text names one site while the link goes to another.
+    textMismatch: Boolean(shownDomain) && getRegistrableDomain(shownDomain) !== registrableDomain,
+    ipHost: Boolean(host) && isIP(host) !== 0,
+    unusualPort: Boolean(url.port) && !DEFAULT_PORTS.includes(url.port),
+    scriptScheme: SCRIPT_SCHEMES.includes(scheme),
+    senderDomain: Boolean(host) && isSameOrganization(host, options.senderDomain)
+  };
+}
+
+/**
+ * Collects the URLs of an email body: link and area hrefs, form actions, image sources, and
+ * bare URLs in the text of both the HTML and plain bodies
+ * @param {Object} body - The processed email's body, { plain, html }
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.senderDomain] - Domain of the From address, for the senderDomain flag
+ * @returns {Object[]} URLs as returned by parseUrl with source set to the tag ('a', 'area', 'form', 'img')
+ *   in body order, followed by the text URLs ('text') not already linked, each listed once
+ */
+function extractUrls(body, options = {}) {
+  const urls = [];
+  const textUrls = [];
+  const add = (value, source, text) => {
+    const parsed = parseUrl(value, { text, senderDomain: options.senderDomain });
+    if (parsed) urls.push({ source, ...parsed });
+  };
+
+  if (body?.html) {
+    const links = [];
+    const parser = new htmlparser2.Parser({
+      onopentag(name, attributes) {
+        const attribute = URL_ATTRIBUTES[name];
+        if (!attribute || !attributes[attribute]) return;
+        if (name === 'a') {
+          // Anchor text is only known at the closing tag, keep the slot in body order.
+          links.push({ href: attributes.href, text: '', index: urls.length });
+          urls.push(null);
+        } else {
+          add(attributes[attribute], name);
+        }
+      },
+      ontext(text) {
+        if (links.length) {
+          links[links.length - 1].text += text;
+        } else {
+          textUrls.push(...findTextUrls(text));
+        }
+      },
+      onclosetag(name) {
+        if (name !== 'a' || !links.length) return;
+        const link = links.pop();
+        const parsed = parseUrl(link.href, { text: link.text, senderDomain: options.senderDomain });
+        urls[link.index] = parsed ? { source: 'a', ...parsed } : null;
+      }
+    }, {
+      decodeEntities: true,
+      recognizeSelfClosing: true
+    });
+    parser.write(body.html);
+    parser.end();
+  }
+  textUrls.push(...findTextUrls(body?.plain || ''));
+
+  const found = urls.filter(Boolean);
+  const seen = new Set(found.map(url => url.url));
+  textUrls.forEach(value => {
+    const parsed = parseUrl(value, { senderDomain: options.senderDomain });
+    if (!parsed || seen.has(parsed.url)) return;
+    seen.add(parsed.url);
+    found.push({ source: 'text', ...parsed });
+  });
+  return found;
+}
+
+function findTextUrls(text) {
+  // Sentence punctuation and closing brackets after a URL are not part of it.
+  return (text.match(TEXT_URL) || []).map(url => url.replace(/[.,;:!?)\]}>]+$/, ''));
+}
+
+function getShownDomain(text) {
+  const match = SHOWN_URL.exec(text);
+  return match ? normalizeHost(match[1]) || null : null;
+}
+
+export {
+  parseUrl,
+  extractUrls
+};